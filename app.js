@@ -1,20 +1,63 @@
 // EVE Ore/Ice Harvesting Rate Calculator
 // Static site friendly (GitHub Pages). No build step.
+// UI only: the calculation and data fetching live in engine.js (shared with the Node CLI).
 // Data sources:
 // - Type + reprocessing materials: https://ref-data.everef.net/types/{type_id}
-// - Jita prices (fast): https://market.fuzzwork.co.uk/aggregates/?station=60003760&types=...
-// - Name -> type ID resolver (optional): https://esi.evetech.net/latest/universe/ids/ (POST)
+// - Blueprint materials (build goals): https://ref-data.everef.net/blueprints/{blueprint_type_id}
+//   (EVE Ref calls honour ?ref=<base url>)
+// - Hub prices (fast): https://market.fuzzwork.co.uk/aggregates/?station={station_id}&types=...
+// - Name -> type ID: bundled type data (data/types.js) first, then https://esi.evetech.net/latest/universe/ids/ (POST)
+// - Price history: https://esi.evetech.net/latest/markets/{region_id}/history/?type_id=...
+//   (every ESI call honours ?esi=<base url>, e.g. a local mock)
 //
 // Notes:
-// - We show "Jita Sell" as the lowest sell order price (min sell) at Jita 4-4.
+// - We show "<hub> sell" as the lowest sell order price (min sell) at the selected hub station (default Jita 4-4).
 // - Reprocessing assumes a user-specified yield percent (default 100%) and floors quantities to integers.
 
-const JITA_STATION_ID = 60003760;
-
-// The Forge region (Jita is in The Forge)
-const THE_FORGE_REGION_ID = 10000002;
-
-// Suggested ore/ice names (exact in-game names recommended)
+import { HULLS, MINING_MODULES, CRYSTALS, UPGRADES, BOOSTS } from "./data/fittings.js";
+import { TYPES as BUNDLED_TYPES, GROUPS as BUNDLED_GROUPS } from "./data/types.js";
+import {
+  MARKET_HUBS,
+  DEFAULT_HUB,
+  PRICE_BASES,
+  DEFAULT_BASIS,
+  OFF_AVERAGE_PCT,
+  ESI_BASE,
+  REF_BASE,
+  clamp,
+  createHttpProvider,
+  calcCritResidue,
+  calcFitting,
+  calcUnitsMined,
+  calcMarketFees,
+  saleFeePct,
+  getPrice,
+  PROCESSING_SKILLS,
+  calcReprocessYield,
+  parseCharacterExport,
+  parseAdjustedPrices,
+  withImplantNames,
+  characterYieldSettings,
+  calculateHarvest,
+  searchTypes,
+  ORE_FAMILIES,
+  parseInventoryPaste,
+  valueInventory,
+  MOON_CHUNK_M3_PER_HOUR,
+  parseMoonComposition,
+  calculateMoonChunk,
+  parseMineralTargets,
+  planMineralPurchase,
+  parseBuildGoal,
+  planBuildGoal,
+  parseLedgerPaste,
+  parseLedgerJson,
+  valueLedger,
+  calcLedgerThroughput,
+} from "./engine.js";
+
+// Suggested ore/ice/gas names. Most are in the bundled type data (data/types.js); the rest
+// are still offered and resolve through ESI.
 const MATERIAL_SUGGESTIONS = [
   // Common ores
   "Veldspar",
@@ -43,6 +86,33 @@ const MATERIAL_SUGGESTIONS = [
   "Gelidus",
   "Krystallos",
 
+  // Gas (no reprocessing: valued raw / compressed)
+  "Fullerite-C28",
+  "Fullerite-C32",
+  "Fullerite-C50",
+  "Fullerite-C60",
+  "Fullerite-C70",
+  "Fullerite-C72",
+  "Fullerite-C84",
+  "Fullerite-C320",
+  "Fullerite-C540",
+  "Amber Mykoserocin",
+  "Azure Mykoserocin",
+  "Celadon Mykoserocin",
+  "Golden Mykoserocin",
+  "Lime Mykoserocin",
+  "Malachite Mykoserocin",
+  "Vermillion Mykoserocin",
+  "Viridian Mykoserocin",
+  "Amber Cytoserocin",
+  "Azure Cytoserocin",
+  "Celadon Cytoserocin",
+  "Golden Cytoserocin",
+  "Lime Cytoserocin",
+  "Malachite Cytoserocin",
+  "Vermillion Cytoserocin",
+  "Viridian Cytoserocin",
+
   // Compressed variants (optional convenience)
   "Compressed Veldspar",
   "Compressed Scordite",
@@ -68,6 +138,49 @@ const MATERIAL_SUGGESTIONS = [
   "Compressed Dark Glitter",
   "Compressed Gelidus",
   "Compressed Krystallos",
+
+  // Moon ores (R4 → R64)
+  "Zeolites",
+  "Sylvite",
+  "Bitumens",
+  "Coesite",
+  "Cobaltite",
+  "Euxenite",
+  "Titanite",
+  "Scheelite",
+  "Otavite",
+  "Sperrylite",
+  "Vanadinite",
+  "Chromite",
+  "Carnotite",
+  "Zircon",
+  "Pollucite",
+  "Cinnabar",
+  "Xenotime",
+  "Monazite",
+  "Loparite",
+  "Ytterbite",
+
+  "Compressed Zeolites",
+  "Compressed Sylvite",
+  "Compressed Bitumens",
+  "Compressed Coesite",
+  "Compressed Cobaltite",
+  "Compressed Euxenite",
+  "Compressed Titanite",
+  "Compressed Scheelite",
+  "Compressed Otavite",
+  "Compressed Sperrylite",
+  "Compressed Vanadinite",
+  "Compressed Chromite",
+  "Compressed Carnotite",
+  "Compressed Zircon",
+  "Compressed Pollucite",
+  "Compressed Cinnabar",
+  "Compressed Xenotime",
+  "Compressed Monazite",
+  "Compressed Loparite",
+  "Compressed Ytterbite",
 ];
 
 // ---------------------------
@@ -82,7 +195,10 @@ function fmtInt(n) {
 }
 function fmtNum(n, digits = 2) {
   if (n === null || n === undefined || Number.isNaN(n)) return "—";
-  return digits === 0 ? nf0.format(n) : nf2.format(n);
+  if (digits === 0) return nf0.format(n);
+  if (digits === 2) return nf2.format(n);
+  // Compressed ore volumes (0.001 m³) need more than two decimals.
+  return new Intl.NumberFormat("en-US", { maximumFractionDigits: digits }).format(n);
 }
 function fmtISK(n) {
   if (n === null || n === undefined || Number.isNaN(n)) return "—";
@@ -96,13 +212,17 @@ function fmtSeconds(seconds) {
   if (m <= 0) return `${fmtNum(rem, 1)}s`;
   return `${m}m ${fmtNum(rem, 1)}s`;
 }
-
-function clamp(n, lo, hi) {
-  return Math.min(hi, Math.max(lo, n));
+// HH:MM today, otherwise with the date in front.
+function fmtClock(time) {
+  const d = new Date(time);
+  const pad = (n) => String(n).padStart(2, "0");
+  const hm = `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  const sameDay = d.toDateString() === new Date().toDateString();
+  return sameDay ? hm : `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${hm}`;
 }
 
-function setStatus(msg, kind = "") {
-  const el = document.getElementById("status");
+function setStatus(msg, kind = "", id = "status") {
+  const el = document.getElementById(id);
   el.className = "status " + (kind || "");
   el.innerHTML = msg;
 }
@@ -117,245 +237,174 @@ function escapeHtml(s) {
 }
 
 // ---------------------------
-// Simple fetch cache (memory + localStorage)
+// Offline cache (memory + IndexedDB)
 // ---------------------------
+// Every response is kept as last-known-good data. Entries younger than ttlMs skip the network;
+// if the network fails we serve whatever we have, however old, and remember how old it was.
 const memCache = new Map();
-
-function cacheKey(url) {
-  return `eveharvestcache:${url}`;
-}
-
-async function fetchJson(url, { ttlMs = 0 } = {}) {
-  const now = Date.now();
-
-  const mem = memCache.get(url);
-  if (mem && (ttlMs <= 0 || now - mem.time < ttlMs)) return mem.data;
-
-  if (ttlMs > 0) {
-    try {
-      const raw = localStorage.getItem(cacheKey(url));
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        if (parsed && typeof parsed.time === "number" && now - parsed.time < ttlMs) {
-          memCache.set(url, parsed);
-          return parsed.data;
-        }
-      }
-    } catch {
-      // ignore
-    }
-  }
-
-  const res = await fetch(url, { headers: { "Accept": "application/json" } });
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status} for ${url}`);
-  }
-  const data = await res.json();
-
-  const record = { time: now, data };
-  memCache.set(url, record);
-
-  if (ttlMs > 0) {
-    try {
-      localStorage.setItem(cacheKey(url), JSON.stringify(record));
-    } catch {
-      // ignore
-    }
+const CACHE_DB = "eveharvest";
+const CACHE_STORE = "responses";
+let cacheDbPromise = null;
+
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      const req = indexedDB.open(CACHE_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(CACHE_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn("IndexedDB unavailable; caching in memory only.", req.error);
+        resolve(null);
+      };
+    });
   }
-  return data;
+  return cacheDbPromise;
 }
 
-// ---------------------------
-// Data source helpers
-// ---------------------------
-
-// Resolve an inventory type name to a type ID using ESI.
-// ESI requires exact name matches; we also let the user paste a type_id directly.
-async function resolveTypeIdFromName(name) {
-  const trimmed = String(name || "").trim();
-  if (!trimmed) return null;
-
-  const url = "https://esi.evetech.net/latest/universe/ids/?datasource=tranquility";
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "Accept": "application/json" },
-    body: JSON.stringify([trimmed]),
+async function cacheGet(key) {
+  const mem = memCache.get(key);
+  if (mem) return mem;
+
+  const db = await openCacheDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    const req = db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(key);
+    req.onsuccess = () => {
+      if (req.result) memCache.set(key, req.result);
+      resolve(req.result ?? null);
+    };
+    req.onerror = () => resolve(null);
   });
-  if (!res.ok) throw new Error(`ESI /universe/ids failed: HTTP ${res.status}`);
-  const data = await res.json();
-  const inv = data?.inventory_types || [];
-  if (!Array.isArray(inv) || inv.length === 0) return null;
-
-  const lower = trimmed.toLowerCase();
-  const exact = inv.find((x) => String(x.name || "").toLowerCase() === lower);
-  return (exact || inv[0]).id ?? null;
 }
 
-// Fetch type data (including type_materials) from EVE Ref.
-async function getTypeData(typeId) {
-  const id = Number(typeId);
-  if (!Number.isFinite(id) || id <= 0) throw new Error("Invalid type ID.");
-  const url = `https://ref-data.everef.net/types/${id}`;
-  // Type data is mostly static: cache for 7 days.
-  const data = await fetchJson(url, { ttlMs: 7 * 24 * 60 * 60 * 1000 });
-
-  return {
-    typeId: data.type_id,
-    name: data?.name?.en ?? `Type ${id}`,
-    volume: data.volume,
-    portionSize: data.portion_size ?? 1,
-    typeMaterials: data.type_materials || {}, // { materialTypeId: {material_type_id, quantity}, ... }
-  };
+async function cachePut(key, data) {
+  const record = { time: Date.now(), data };
+  memCache.set(key, record);
+
+  const db = await openCacheDb();
+  if (!db) return record;
+  await new Promise((resolve) => {
+    const tx = db.transaction(CACHE_STORE, "readwrite");
+    tx.objectStore(CACHE_STORE).put(record, key);
+    tx.oncomplete = () => resolve();
+    // Quota errors abort the transaction: the data still works this session, it just won't be there offline.
+    tx.onerror = tx.onabort = () => {
+      console.warn(`Offline cache write failed for ${key}`, tx.error);
+      window.__cacheWriteFailed = true;
+      resolve();
+    };
+  });
+  return record;
 }
 
-// Fuzzwork aggregates price fetch for a station, multiple types.
-// Returns a map: typeId -> { sellMin, buyMax, ... }
-async function getPricesFuzzwork(typeIds) {
-  const ids = Array.from(new Set(typeIds.map((x) => Number(x)).filter((x) => Number.isFinite(x) && x > 0)));
-  if (ids.length === 0) return new Map();
-
-  const url = `https://market.fuzzwork.co.uk/aggregates/?station=${JITA_STATION_ID}&types=${ids.join(",")}`;
-  // Market snapshots update ~30 minutes; cache for 5 minutes to be gentle.
-  const data = await fetchJson(url, { ttlMs: 5 * 60 * 1000 });
-
-  const out = new Map();
-  for (const id of ids) {
-    const rec = data?.[String(id)];
-    const sellMin = rec?.sell?.min ?? 0;
-    const buyMax = rec?.buy?.max ?? 0;
-    out.set(id, {
-      sellMin: sellMin > 0 ? sellMin : null,
-      buyMax: buyMax > 0 ? buyMax : null,
-      raw: rec ?? null,
-    });
-  }
-  return out;
+// Oldest price data behind the current calculation, and whether any of it is a stale fallback.
+function resetPriceFreshness() {
+  window.__priceFreshness = { time: null, stale: false };
+  window.__cacheWriteFailed = false;
 }
 
-// Direct ESI price fetch: min sell order price in Jita 4-4 for a given type.
-// This can require paging through many results; we limit pages for safety.
-async function getBestJitaSell_ESI(typeId, { maxPages = 25, onProgress = null } = {}) {
-  const id = Number(typeId);
-  if (!Number.isFinite(id) || id <= 0) return null;
+function notePriceTime(time, stale) {
+  const f = window.__priceFreshness || (window.__priceFreshness = { time: null, stale: false });
+  if (f.time === null || time < f.time) f.time = time;
+  if (stale) f.stale = true;
+}
 
-  let best = Infinity;
-  let pages = 1;
+// Fresh cache -> network -> last-known-good. `priced` responses feed the "prices as of" indicator.
+async function cachedFetch(key, load, { ttlMs = 0, priced = false } = {}) {
+  const cached = await cacheGet(key);
+  if (cached && ttlMs > 0 && Date.now() - cached.time < ttlMs) {
+    if (priced) notePriceTime(cached.time, false);
+    return cached.data;
+  }
 
-  for (let page = 1; page <= pages && page <= maxPages; page++) {
-    if (typeof onProgress === "function") onProgress({ typeId: id, page, pages, limited: pages > maxPages });
+  try {
+    const record = await cachePut(key, await load());
+    if (priced) notePriceTime(record.time, false);
+    return record.data;
+  } catch (err) {
+    if (!cached) throw err;
+    console.warn(`Network failed; using cached data for ${key}`, err);
+    if (priced) notePriceTime(cached.time, true);
+    return cached.data;
+  }
+}
 
-    const url = `https://esi.evetech.net/latest/markets/${THE_FORGE_REGION_ID}/orders/?datasource=tranquility&order_type=sell&type_id=${id}&page=${page}`;
+async function fetchJson(url, { ttlMs = 0, priced = false } = {}) {
+  return cachedFetch(url, async () => {
     const res = await fetch(url, { headers: { "Accept": "application/json" } });
-    if (!res.ok) throw new Error(`ESI market orders failed: HTTP ${res.status} for type ${id}`);
-
-    const pageCount = res.headers.get("x-pages");
-    if (pageCount) {
-      const p = Number(pageCount);
-      if (Number.isFinite(p) && p >= 1) pages = p;
-    }
-
-    const orders = await res.json();
-    if (Array.isArray(orders)) {
-      for (const o of orders) {
-        if (o?.location_id === JITA_STATION_ID && (o?.volume_remain ?? 0) > 0) {
-          const price = Number(o.price);
-          if (Number.isFinite(price) && price < best) best = price;
-        }
-      }
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status} for ${url}`);
     }
-  }
-
-  if (!Number.isFinite(best)) return null;
-  return best;
+    return res.json();
+  }, { ttlMs, priced });
 }
 
-// Fetch ESI prices for multiple types, sequentially (with progress).
-async function getPricesESI(typeIds, { onProgress = null } = {}) {
-  const ids = Array.from(new Set(typeIds.map((x) => Number(x)).filter((x) => Number.isFinite(x) && x > 0)));
-  const out = new Map();
-  let done = 0;
-
-  for (const id of ids) {
-    const price = await getBestJitaSell_ESI(id, {
-      maxPages: 25,
-      onProgress: (p) => {
-        if (typeof onProgress === "function") {
-          onProgress({ ...p, done, total: ids.length });
-        }
-      },
+// POST JSON (ESI bulk lookups), cached by URL + body.
+async function postJson(url, body, { ttlMs = 0, label = url } = {}) {
+  return cachedFetch(`${url}#${JSON.stringify(body)}`, async () => {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Accept": "application/json" },
+      body: JSON.stringify(body),
     });
-    out.set(id, { sellMin: price, buyMax: null, raw: null });
-    done++;
-    if (typeof onProgress === "function") onProgress({ typeId: id, done, total: ids.length, stage: "doneOne" });
-  }
-
-  return out;
+    if (!res.ok) throw new Error(`${label} failed: HTTP ${res.status}`);
+    return res.json();
+  }, { ttlMs });
 }
 
 // ---------------------------
-// Calculation
+// Data source
 // ---------------------------
-function calcCycles(durationMinutes, cycleTimeSeconds) {
-  const totalSeconds = Math.max(0, durationMinutes * 60);
-  const cycles = cycleTimeSeconds > 0 ? Math.floor(totalSeconds / cycleTimeSeconds) : 0;
-  const usedSeconds = cycles * cycleTimeSeconds;
-  const leftoverSeconds = totalSeconds - usedSeconds;
-  return { totalSeconds, cycles, usedSeconds, leftoverSeconds };
-}
-
-function calcUnitsMined(volumeM3, unitVolumeM3) {
-  if (!(unitVolumeM3 > 0)) return 0;
-  // Avoid floating point edge cases
-  return Math.floor(volumeM3 / unitVolumeM3 + 1e-9);
-}
-
-function computeReprocessOutputs({ units, portionSize, typeMaterials, yieldPct }) {
-  const eff = clamp(yieldPct, 0, 100) / 100;
-
-  const ps = Math.max(1, Number(portionSize) || 1);
-  const batches = units / ps;
-
-  const outputs = [];
-  for (const key of Object.keys(typeMaterials || {})) {
-    const rec = typeMaterials[key];
-    const matId = Number(rec?.material_type_id ?? key);
-    const qtyPerPortion = Number(rec?.quantity ?? 0);
-
-    if (!Number.isFinite(matId) || matId <= 0) continue;
-    if (!Number.isFinite(qtyPerPortion) || qtyPerPortion <= 0) continue;
-
-    const qty = Math.floor(batches * qtyPerPortion * eff + 1e-9);
-    outputs.push({ typeId: matId, qty, qtyPerPortion });
-  }
-
-  // Sort by qty desc (nice UX)
-  outputs.sort((a, b) => (b.qty - a.qty) || (a.typeId - b.typeId));
-  return outputs;
-}
+// The engine's HTTP provider on top of the offline cache.
+// ?esi=http://localhost:8081 points every ESI call at a mock; ?ref= does the same for EVE Ref.
+const webProvider = createHttpProvider({
+  fetchJson,
+  postJson,
+  cachedFetch,
+  esiBase: () => window.__esiBase || ESI_BASE,
+  refBase: () => window.__refBase || REF_BASE,
+});
 
 // ---------------------------
 // Rendering
 // ---------------------------
-function renderSummary({ input, cyclesInfo, typeData, units, rawValue, reprocessValue }) {
-  const perHourFactor = cyclesInfo.usedSeconds > 0 ? 3600 / cyclesInfo.usedSeconds : 0;
+function renderSummary({ input, fleet, typeData, units, rawValue, reprocessValue, compressed = null, compressedValue = null, fees = null, basis = DEFAULT_BASIS }) {
+  const perHourFactor = fleet.perHourFactor;
 
   const minedM3 = units * (typeData.volume ?? 0);
   const minedM3Str = Number.isFinite(minedM3) ? fmtNum(minedM3, 2) : "—";
 
-  const hrM3 = cyclesInfo.usedSeconds > 0 ? (minedM3 / cyclesInfo.usedSeconds) * 3600 : 0;
-  const hrRaw = cyclesInfo.usedSeconds > 0 ? rawValue * perHourFactor : 0;
-  const hrRe = cyclesInfo.usedSeconds > 0 ? reprocessValue * perHourFactor : 0;
+  const hrM3 = minedM3 * perHourFactor;
+  const hrRaw = rawValue * perHourFactor;
+  const hrRe = reprocessValue !== null ? reprocessValue * perHourFactor : null;
+
+  // A lone main ship keeps the original single-harvester KPIs.
+  const main = fleet.ships[0];
+  const single = fleet.ships.length === 1 && main.count === 1;
 
   const el = document.getElementById("summary");
   el.innerHTML = [
     kpi("Material", escapeHtml(typeData.name), `Type ID: ${typeData.typeId}`),
-    kpi("Duration entered", `${fmtNum(input.durationMinutes, 0)} min`, `Cycles (full): ${fmtInt(cyclesInfo.cycles)}`),
-    kpi("Cycle time", `${fmtNum(input.cycleTimeSeconds, 1)} s`, `Time used: ${fmtSeconds(cyclesInfo.usedSeconds)} • Left: ${fmtSeconds(cyclesInfo.leftoverSeconds)}`),
+    single
+      ? kpi("Duration entered", `${fmtNum(input.durationMinutes, 0)} min`, `Cycles (full): ${fmtInt(main.cycles)}`)
+      : kpi("Duration entered", `${fmtNum(input.durationMinutes, 0)} min`, `Ship-cycles (full): ${fmtInt(fleet.shipCycles)}`),
+    single
+      ? kpi("Cycle time", `${fmtNum(main.cycleTimeSeconds, 1)} s`, `Time used: ${fmtSeconds(main.usedSeconds)} • Left: ${fmtSeconds(main.leftoverSeconds)}`)
+      : kpi("Fleet", `${fmtInt(fleet.shipCount)} ships`, `${fmtInt(fleet.ships.length)} harvester fits • ${fmtNum(fleet.m3PerHour, 2)} m³/hour`),
     kpi("Mined volume", `${minedM3Str} m³`, `${fmtNum(hrM3, 2)} m³/hour`),
     kpi("Mined units", fmtInt(units), `${fmtNum(units * perHourFactor, 2)} units/hour`),
-    kpi("Values", `Raw: ${fmtISK(rawValue)} ISK`, `Reprocessed: ${fmtISK(reprocessValue)} ISK`),
+    kpi("Values", `Raw: ${fmtISK(rawValue)} ISK`, reprocessValue !== null ? `Reprocessed: ${fmtISK(reprocessValue)} ISK` : "Not reprocessable"),
+    compressed
+      ? kpi("Compressed", `${compressedValue !== null ? fmtISK(compressedValue) : "—"} ISK`, `${fmtNum(compressed.m3, 2)} m³ to haul • saves ${fmtNum(compressed.m3Saved, 2)} m³`)
+      : kpi("Compressed", "—", "No compressed type found"),
     kpi("ISK/hour", `Raw: ${fmtISK(hrRaw)}`, `Reprocessed: ${fmtISK(hrRe)}`),
-    kpi("Reprocess yield", `${fmtNum(input.reprocessYieldPct, 1)}%`, `Portion size: ${fmtInt(typeData.portionSize)} units${window.__reprocessTaxPct && Number(window.__reprocessTaxPct) > 0 ? ` • Tax: ${fmtNum(Number(window.__reprocessTaxPct),1)}%` : ""}`),
+    fees
+      ? kpi("Market fees", `${fmtNum(saleFeePct(fees, basis), 2)}%`, `Sales tax ${fmtNum(fees.salesTaxPct, 2)}%${basis.listing ? ` • Broker ${fmtNum(fees.brokerFeePct, 2)}%${fees.structure ? " (structure)" : ""}` : " • No broker fee (instant sell)"}`)
+      : kpi("Market fees", "Off", "Values are gross"),
+    reprocessValue === null
+      ? kpi("Reprocess yield", "—", "Not reprocessable: valued raw / compressed")
+      : kpi("Reprocess yield", `${fmtNum(input.reprocessYieldPct, 1)}%`, `${input.processingSkill ? `${escapeHtml(input.processingSkill)} • ` : ""}Portion size: ${fmtInt(typeData.portionSize)} units${window.__reprocessTaxPct && Number(window.__reprocessTaxPct) > 0 ? ` • Tax: ${fmtNum(Number(window.__reprocessTaxPct),1)}%` : ""}`),
   ].join("");
 }
 
@@ -374,67 +423,308 @@ function setTableMessage(tableId, colspan, msg) {
   tbody.innerHTML = `<tr><td colspan="${colspan}" class="muted">${escapeHtml(msg)}</td></tr>`;
 }
 
-function renderRawRow({ typeData, units, price }) {
-  const tbody = document.querySelector("#rawTable tbody");
-  const p = price ?? null;
+// Realised price / slippage / unfilled cells for an order-book walk ("—" when depth is off).
+function depthCells(depth) {
+  if (!depth) return `<td class="num">—</td><td class="num">—</td><td class="num">—</td>`;
+  const slip = depth.slippagePct;
+  return `
+    <td class="num">${depth.vwap !== null ? fmtISK(depth.vwap) : "—"}</td>
+    <td class="num">${slip !== null ? `${slip > 0 ? "+" : ""}${fmtNum(slip, 2)}%` : "—"}</td>
+    <td class="num${depth.unfilled > 0 ? " unfilled" : ""}">${fmtInt(depth.unfilled)}</td>
+  `;
+}
 
-  const total = p ? units * p : null;
+// Inline SVG sparkline for a price series.
+function sparklineSvg(values, { width = 80, height = 18 } = {}) {
+  const v = values.filter((x) => Number.isFinite(x));
+  if (v.length < 2) return "";
+  const min = Math.min(...v);
+  const max = Math.max(...v);
+  const span = max - min || 1;
+  const pts = v.map((x, i) => `${fmtNum((i / (v.length - 1)) * width, 1).replace(/,/g, "")},${fmtNum(height - 1 - ((x - min) / span) * (height - 2), 1).replace(/,/g, "")}`);
+  return `<svg class="spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true"><polyline points="${pts.join(" ")}" /></svg>`;
+}
 
-  tbody.innerHTML = `
-    <tr>
-      <td>${escapeHtml(typeData.name)}</td>
-      <td class="num">${fmtInt(typeData.typeId)}</td>
-      <td class="num">${fmtNum(typeData.volume, 3)}</td>
-      <td class="num">${fmtInt(units)}</td>
-      <td class="num">${p ? fmtISK(p) : "—"}</td>
-      <td class="num">${total !== null ? fmtISK(total) : "—"}</td>
-    </tr>
+// Sparkline + deviation from the 30-day average ("—" without history).
+function trendCell(trend) {
+  if (!trend) return `<td class="num">—</td>`;
+  const dev = trend.deviationPct;
+  const label = dev !== null ? `${dev > 0 ? "+" : ""}${fmtNum(dev, 1)}%` : "";
+  const title = trend.avg30 ? `30-day average ${fmtISK(trend.avg30)} ISK` : "";
+  return `
+    <td class="num trend${trend.flagged ? " off-average" : ""}" title="${escapeHtml(title)}">
+      ${sparklineSvg(trend.series)}
+      <span>${trend.flagged ? "⚠ " : ""}${label}</span>
+    </td>
   `;
 }
 
-function renderReprocessTable({ materialsRows, total }) {
+function renderRawRow({ typeData, units, price, total = null, depth = null, trend = null, compressed = null, compressedPrice = null, compressedTotal = null, compressedDepth = null, compressedTrend = null }) {
+  const tbody = document.querySelector("#rawTable tbody");
+
+  const line = (td, qty, price, total, depth, trend) => {
+    const p = price ?? null;
+    const t = total ?? (p ? qty * p : null);
+    return `
+      <tr>
+        <td>${escapeHtml(td.name)}</td>
+        <td class="num">${fmtInt(td.typeId)}</td>
+        <td class="num">${fmtNum(td.volume, 3)}</td>
+        <td class="num">${fmtInt(qty)}</td>
+        <td class="num">${p ? fmtISK(p) : "—"}</td>
+        <td class="num">${t !== null ? fmtISK(t) : "—"}</td>
+        ${depthCells(depth)}
+        ${trendCell(trend)}
+      </tr>
+    `;
+  };
+
+  tbody.innerHTML = line(typeData, units, price, total, depth, trend)
+    + (compressed ? line(compressed.typeData, compressed.units, compressedPrice, compressedTotal, compressedDepth, compressedTrend) : "");
+}
+
+function renderReprocessTable({ materialsRows, gross, tax, total, typeData, reprocessable = true, taxNote = "" }) {
   const tbody = document.querySelector("#reprocessTable tbody");
 
-  if (materialsRows.length === 0) {
-    tbody.innerHTML = `<tr><td colspan="5" class="muted">No reprocessing materials found for this type.</td></tr>`;
+  if (!reprocessable) {
+    tbody.innerHTML = `<tr><td colspan="11" class="muted">${escapeHtml(typeData.name)} can't be reprocessed (no <code>type_materials</code>), so it is valued raw and compressed only.</td></tr>`;
+  } else if (materialsRows.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="11" class="muted">No reprocessing materials found for this type.</td></tr>`;
   } else {
     tbody.innerHTML = materialsRows.map((r) => `
       <tr>
         <td>${escapeHtml(r.name)}</td>
         <td class="num">${fmtInt(r.typeId)}</td>
         <td class="num">${fmtInt(r.qty)}</td>
-        <td class="num">${r.sellMin ? fmtISK(r.sellMin) : "—"}</td>
+        <td class="num">${r.unitPrice ? fmtISK(r.unitPrice) : "—"}</td>
         <td class="num">${r.totalValue !== null ? fmtISK(r.totalValue) : "—"}</td>
+        ${taxCell(r)}
+        <td class="num">${r.netValue !== null ? fmtISK(r.netValue) : "—"}</td>
+        ${depthCells(r.depth)}
+        ${trendCell(r.trend)}
       </tr>
     `).join("");
   }
 
+  document.getElementById("reprocessGrossCell").textContent = fmtISK(gross);
+  document.getElementById("reprocessTaxCell").textContent = fmtISK(tax);
   document.getElementById("reprocessTotalCell").textContent = fmtISK(total);
+  document.getElementById("taxNote").innerHTML = reprocessable ? taxNote : "";
+
+  const off = materialsRows.filter((r) => r.trend?.flagged);
+  document.getElementById("trendNote").innerHTML = off.length
+    ? `⚠ Priced ${OFF_AVERAGE_PCT}%+ away from the 30-day average: ${off.map((r) => `<b>${escapeHtml(r.name)}</b> (${r.trend.deviationPct > 0 ? "+" : ""}${fmtNum(r.trend.deviationPct, 1)}%)`).join(", ")}.`
+    : "";
+}
+
+// Tax on the output's estimated item value; * = no adjusted price, taxed on its market value.
+function taxCell(r) {
+  if (!(r.taxFee > 0)) return `<td class="num">—</td>`;
+  const title = r.taxOnMarket ? "No estimated item value: taxed on market value" : `Estimated item value ${fmtISK(r.eiv)} ISK/unit`;
+  return `<td class="num" title="${escapeHtml(title)}">${fmtISK(r.taxFee)}${r.taxOnMarket ? "*" : ""}</td>`;
+}
+
+// "5% reprocessing tax on estimated item value (ESI adjusted prices)" for the notes under the tables.
+function taxBasisText(tax, hub, basis) {
+  if (!tax) return "";
+  if (tax.basis === "eiv") return `${fmtNum(tax.pct, 1)}% reprocessing tax on estimated item value (${escapeHtml(window.__adjustedPrices?.source || "ESI adjusted prices")})`;
+  return `${fmtNum(tax.pct, 1)}% reprocessing tax on ${escapeHtml(hub.name)} ${escapeHtml(basis.short)} (no adjusted prices available)`;
+}
+
+function renderFleetBreakdown(fleet, row) {
+  const tbody = document.querySelector("#fleetTable tbody");
+  const volume = row.typeData.volume ?? 0;
+
+  tbody.innerHTML = fleet.ships.map((s) => {
+    const share = fleet.totalM3 > 0 ? s.m3 / fleet.totalM3 : 0;
+    const raw = row.rawTotal !== null ? row.rawTotal * share : null;
+    return `
+      <tr>
+        <td>${escapeHtml(s.name)}</td>
+        <td class="num">${fmtInt(s.count)}</td>
+        <td class="num">${fmtNum(s.yieldPerCycle, 2)}</td>
+        <td class="num">${fmtNum(s.cycleTimeSeconds, 1)}</td>
+        <td class="num">${fmtInt(s.cycles)}</td>
+        <td class="num">${fmtNum(s.m3, 2)}</td>
+        <td class="num">${fmtNum(s.m3PerHour, 2)}</td>
+        <td class="num">${fmtInt(calcUnitsMined(s.m3, volume))}</td>
+        <td class="num">${raw !== null ? fmtISK(raw) : "—"}</td>
+        <td class="num">${row.reprocessNet !== null ? fmtISK(row.reprocessNet * share) : "—"}</td>
+        <td class="num">${fmtNum(share * 100, 1)}%</td>
+      </tr>
+    `;
+  }).join("");
+}
+
+// Expected units/ISK plus the simulated spread for the selected material.
+// Values scale with collected m³, so m³ percentiles map straight onto units and ISK.
+function renderCritPanel(fleet, mods, sim, row) {
+  const el = document.getElementById("critBox");
+  if (!mods.active) {
+    el.innerHTML = `<div class="placeholder">Crit and residue chances are 0: every cycle pulls exactly the entered yield.</div>`;
+    return;
+  }
+
+  const volume = row.typeData.volume ?? 0;
+  const units = (m3) => calcUnitsMined(m3, volume);
+  const rawPerUnit = row.rawTotal !== null && row.unitsMined > 0 ? row.rawTotal / row.unitsMined : null;
+  const rePerUnit = row.reprocessNet !== null && row.unitsMined > 0 ? row.reprocessNet / row.unitsMined : null;
+  const spread = (fn) => ["p10", "p50", "p90"].map((k) => fn(sim.collected[k])).join(" / ");
+
+  const wastedUnits = units(fleet.wastedM3);
+  const wastedRaw = row.orePrice !== null ? wastedUnits * row.orePrice : null;
+
+  el.innerHTML = [
+    kpi("Expected yield", `${fmtNum(mods.yieldFactor * 100, 2)}% of nominal`, `Crit ${fmtNum(mods.critChance * 100, 1)}% × +${fmtNum(mods.critBonus * 100, 0)}% • Residue ${fmtNum(mods.residueChance * 100, 1)}% × ${fmtNum(mods.residueMult, 2)}`),
+    kpi("Expected units", fmtInt(row.unitsMined), `${fmtNum(fleet.totalM3, 2)} m³ collected`),
+    kpi("Residue waste", `${fmtNum(fleet.wastedM3, 2)} m³`, `${fmtInt(wastedUnits)} units • ${wastedRaw !== null ? fmtISK(wastedRaw) : "—"} ISK of ore destroyed`),
+    kpi("Units P10 / P50 / P90", spread((m3) => fmtInt(units(m3))), `${fmtInt(sim.runs)} runs • seed ${fmtInt(sim.seed)}`),
+    kpi("Raw ISK P10 / P50 / P90", rawPerUnit !== null ? spread((m3) => fmtISK(units(m3) * rawPerUnit)) : "—", `Expected: ${row.rawTotal !== null ? fmtISK(row.rawTotal) : "—"} ISK`),
+    kpi("Reprocessed ISK P10 / P50 / P90", rePerUnit !== null ? spread((m3) => fmtISK(units(m3) * rePerUnit)) : "—", `Expected: ${fmtISK(row.reprocessNet)} ISK`),
+    kpi("Collected − wasted (raw)", row.rawTotal !== null && wastedRaw !== null ? `${fmtISK(row.rawTotal - wastedRaw)} ISK` : "—", "Value pulled minus ore value destroyed from the rock"),
+  ].join("");
+}
+
+// Hold/hauling: effective rates vs an uninterrupted session (calc.freeFleet).
+function renderHaulPanel(calc, row) {
+  const el = document.getElementById("haulBox");
+  const { fleet, freeFleet, hauling } = calc;
+  const limited = fleet.ships.filter((s) => s.holdLimited);
+
+  if (limited.length === 0) {
+    el.innerHTML = `<div class="placeholder">No ore hold set: mining is assumed to run uninterrupted.</div>`;
+    setTableMessage("haulTable", 8, "No ore hold set.");
+    return;
+  }
+
+  const trips = fleet.ships.reduce((acc, s) => acc + s.trips * s.count, 0);
+  const lost = fleet.ships.reduce((acc, s) => acc + s.lostSeconds * s.count, 0);
+  const rawPerM3 = row.rawTotal !== null && fleet.totalM3 > 0 ? row.rawTotal / fleet.totalM3 : null;
+  const rePerM3 = row.reprocessNet !== null && fleet.totalM3 > 0 ? row.reprocessNet / fleet.totalM3 : null;
+  const mode = hauling.hauled ? "Hauler servicing" : "Own unload trips";
+
+  el.innerHTML = [
+    kpi("Hauling", mode, `${fmtSeconds(hauling.tripSeconds)} per round trip`),
+    kpi("Trips", fmtInt(trips), `Ship-time lost: ${fmtSeconds(lost)}`),
+    kpi("Effective m³/hour", fmtNum(fleet.m3PerHour, 2), `Uninterrupted: ${fmtNum(freeFleet.m3PerHour, 2)}`),
+    kpi("Effective raw ISK/hour", rawPerM3 !== null ? fmtISK(rawPerM3 * fleet.m3PerHour) : "—", `Uninterrupted: ${rawPerM3 !== null ? fmtISK(rawPerM3 * freeFleet.m3PerHour) : "—"}`),
+    kpi("Effective reprocessed ISK/hour", rePerM3 !== null ? fmtISK(rePerM3 * fleet.m3PerHour) : "—", `Uninterrupted: ${rePerM3 !== null ? fmtISK(rePerM3 * freeFleet.m3PerHour) : "—"}`),
+    kpi("Mined in session", `${fmtNum(fleet.totalM3, 2)} m³`, `Uninterrupted: ${fmtNum(freeFleet.totalM3, 2)} m³`),
+  ].join("");
+
+  document.querySelector("#haulTable tbody").innerHTML = fleet.ships.map((s) => `
+    <tr>
+      <td>${escapeHtml(s.name)}</td>
+      <td class="num">${fmtInt(s.count)}</td>
+      <td class="num">${s.holdLimited ? fmtInt(s.holdM3) : "—"}</td>
+      <td class="num">${s.holdLimited ? fmtSeconds(s.timeToFullSeconds) : "—"}</td>
+      <td class="num">${fmtInt(s.trips)}</td>
+      <td class="num">${fmtSeconds(s.lostSeconds)}</td>
+      <td class="num">${fmtNum(s.minedM3, 2)}</td>
+      <td class="num">${fmtNum(s.count > 0 ? s.m3PerHour / s.count : 0, 2)}</td>
+    </tr>
+  `).join("");
+}
+
+function setPriceHeaders(hub, basis = DEFAULT_BASIS) {
+  const label = `${hub.name} ${basis.short} (ISK/unit)`;
+  document.getElementById("rawPriceHeader").textContent = label;
+  document.getElementById("reprocessPriceHeader").textContent = label;
 }
 
+// "Best hub per item": the selected ore, its compressed form and every output, priced at each hub.
+function renderHubComparison(items, hubPrices, basis = DEFAULT_BASIS) {
+  const el = document.getElementById("hubCompareBox");
+  const head = MARKET_HUBS.map((h) => `<th class="num">${escapeHtml(h.name)}</th>`).join("");
+
+  const body = items.map((it) => {
+    const prices = MARKET_HUBS.map((h) => getPrice(hubPrices.get(h.id), it.typeId, basis));
+    const best = Math.max(...prices.map((p) => p ?? -Infinity));
+    const bestHub = Number.isFinite(best) ? MARKET_HUBS[prices.indexOf(best)] : null;
+    const cells = prices.map((p) => `<td class="num${p !== null && p === best ? " pos" : ""}">${p !== null ? fmtISK(p) : "—"}</td>`).join("");
+    return `
+      <tr>
+        <td>${escapeHtml(it.name)}</td>
+        ${cells}
+        <td>${bestHub ? `<b>${escapeHtml(bestHub.name)}</b>` : "—"}</td>
+      </tr>
+    `;
+  }).join("");
+
+  el.innerHTML = `
+    <div style="margin-bottom:8px"><b>Best hub per item</b> (${escapeHtml(basis.name)}, ISK/unit; highest is highlighted)</div>
+    <div class="table-wrap">
+      <table class="table">
+        <thead><tr><th>Item</th>${head}<th>Best</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>
+  `;
+}
 
-function renderCompare({ rawTotal, reprocessTotal, usedSeconds, taxPct = 0 }) {
+function renderCompare({ rawTotal, reprocessTotal, perHourFactor, tax = null, compressedTotal = null, compressed = null, hub = DEFAULT_HUB, basis = DEFAULT_BASIS, fees = null, depth = false }) {
   const el = document.getElementById("compareBox");
   if (!Number.isFinite(rawTotal) && !Number.isFinite(reprocessTotal)) {
     el.innerHTML = "";
     return;
   }
 
+  const reprocessable = reprocessTotal !== null;
   const diff = (reprocessTotal ?? 0) - (rawTotal ?? 0);
   const cls = diff >= 0 ? "pos" : "neg";
-  const perHour = usedSeconds > 0 ? diff * (3600 / usedSeconds) : 0;
+  const perHour = diff * perHourFactor;
+
+  const taxLine = tax && reprocessable
+    ? `<div class="muted" style="margin-top:6px">Reprocessed total shown is <b>net</b> after a ${taxBasisText(tax, hub, basis)}.</div>`
+    : "";
 
-  const taxLine = taxPct > 0
-    ? `<div class="muted" style="margin-top:6px">Reprocessed total shown is <b>net</b> after an approximate ${fmtNum(taxPct, 1)}% reprocessing fee (valued using Jita sell).</div>`
+  const feePct = saleFeePct(fees, basis);
+  const feeLine = fees
+    ? `<div class="muted" style="margin-top:6px">All paths are <b>net</b> of ${fmtNum(feePct, 2)}% market fees: sales tax ${fmtNum(fees.salesTaxPct, 2)}%${basis.listing ? ` + broker fee ${fmtNum(fees.brokerFeePct, 2)}%` : " (selling into buy orders pays no broker fee)"}.</div>`
     : "";
 
+  const depthLine = depth
+    ? `<div class="muted" style="margin-top:6px">Values walk the ${escapeHtml(hub.name)} order book (${basis.listing ? "undercutting sell orders" : "selling into buy orders"}); realised price, slippage and unfilled units are in the tables below.</div>`
+    : "";
+
+  // Raw / compressed / reprocessed side by side (m³ is what you'd have to haul).
+  const paths = [
+    { label: "Raw", total: rawTotal, m3: compressed?.rawM3 ?? null },
+    { label: "Compressed", total: compressed ? compressedTotal : null, m3: compressed?.m3 ?? null },
+    ...(reprocessable ? [{ label: "Reprocessed", total: reprocessTotal, m3: null }] : []),
+  ];
+  const pathRows = paths.map((x) => `
+    <tr>
+      <td>${x.label}</td>
+      <td class="num">${Number.isFinite(x.total) ? fmtISK(x.total) : "—"}</td>
+      <td class="num">${Number.isFinite(x.total) ? fmtISK(x.total * perHourFactor) : "—"}</td>
+      <td class="num">${x.m3 !== null ? fmtNum(x.m3, 2) : "—"}</td>
+    </tr>
+  `).join("");
+  const savedLine = compressed
+    ? `<div class="muted" style="margin-top:6px">Compressing saves <b>${fmtNum(compressed.m3Saved, 2)} m³</b> of hauling (1 ore → 1 compressed unit).</div>`
+    : "";
+
+  const headline = reprocessable
+    ? `<b>Raw vs Reprocessed</b>: Difference (Reprocessed − Raw) =
+      <span class="${cls}">${fmtISK(diff)} ISK</span>
+      (${fmtISK(perHour)} ISK/hour at your settings)`
+    : `<b>Raw</b>: ${Number.isFinite(rawTotal) ? `${fmtISK(rawTotal * perHourFactor)} ISK/hour at your settings` : "no price"}. Nothing to reprocess, so it sells as-is or compressed.`;
+
   el.innerHTML = `
     <div>
-      <b>Raw vs Reprocessed</b>: Difference (Reprocessed − Raw) =
-      <span class="${cls}">${fmtISK(diff)} ISK</span>
-      (${fmtISK(perHour)} ISK/hour at your settings)
+      ${headline}
     </div>
     ${taxLine}
+    ${feeLine}
+    ${depthLine}
+    <div class="table-wrap" style="margin-top:8px">
+      <table class="table">
+        <thead><tr><th>Path</th><th class="num">Total (ISK)</th><th class="num">ISK/hour</th><th class="num">Volume (m³)</th></tr></thead>
+        <tbody>${pathRows}</tbody>
+      </table>
+    </div>
+    ${savedLine}
   `;
 }
 
@@ -451,6 +741,15 @@ function getStateFromUrl() {
     materialTypeId: params.get("type") ? Number(params.get("type")) : null,
     reprocessYieldPct: params.get("r") ? Number(params.get("r")) : null,
     priceSource: params.get("p") ? String(params.get("p")) : null,
+    fleet: params.get("f") ? fleetFromParam(params.get("f")) : [],
+    fit: params.get("fit") ? fitFromParam(params.get("fit")) : null,
+    crit: params.get("cr") ? String(params.get("cr")) : null,
+    hauling: params.get("h") ? String(params.get("h")) : null,
+    hub: params.get("hub") ? String(params.get("hub")) : null,
+    basis: params.get("b") ? String(params.get("b")) : null,
+    fees: params.get("fee") ? String(params.get("fee")) : null,
+    depth: params.get("d") === "1",
+    history: params.get("hist") === "1",
   };
   return state;
 }
@@ -480,6 +779,31 @@ function applyStateToInputs(state) {
       sel.value = state.priceSource;
     }
   }
+  for (const h of state.fleet) addFleetRow(h);
+  if (state.fit) applyFitToInputs(state.fit);
+  if (state.crit) applyCritParam(state.crit);
+  if (state.hauling) applyHaulingParam(state.hauling);
+  if (state.hub) applyHubParam(state.hub);
+  if (state.basis && PRICE_BASES.some((b) => b.id === state.basis)) {
+    document.getElementById("priceBasis").value = state.basis;
+  }
+  if (state.fees) applyFeesParam(state.fees);
+  if (state.depth) document.getElementById("depthMode").value = "1";
+  if (state.history) document.getElementById("historyMode").value = "1";
+}
+
+// Extra harvesters are packed as "name~yield~cycle~count~hold" joined by "|".
+function fleetToParam(rows) {
+  return rows
+    .map((h) => [String(h.name).replace(/[~|]/g, " "), h.yieldPerCycle, h.cycleTimeSeconds, h.count, h.holdM3 || ""].join("~"))
+    .join("|");
+}
+
+function fleetFromParam(str) {
+  return String(str).split("|").map((part) => {
+    const [name, y, c, n, hold] = part.split("~");
+    return { name: name || "", yieldPerCycle: Number(y), cycleTimeSeconds: Number(c), count: Number(n), holdM3: hold ? Number(hold) : "" };
+  }).filter((h) => Number.isFinite(h.yieldPerCycle) && Number.isFinite(h.cycleTimeSeconds));
 }
 
 function buildShareUrl() {
@@ -499,10 +823,196 @@ function buildShareUrl() {
   if (Number.isFinite(type) && type > 0) params.set("type", String(type));
   if (Number.isFinite(r)) params.set("r", String(r));
   if (p) params.set("p", p);
+  if (document.getElementById("depthMode").value === "1") params.set("d", "1");
+  if (document.getElementById("historyMode").value === "1") params.set("hist", "1");
+  const extra = readFleetRows();
+  if (extra.length) params.set("f", fleetToParam(extra));
+  const fit = readFitInputs();
+  if (fit.hullId) params.set("fit", fitToParam(fit));
+  const cr = critToParam();
+  if (cr) params.set("cr", cr);
+  const h = haulingToParam();
+  if (h) params.set("h", h);
+  const hub = hubToParam();
+  if (hub && hub !== DEFAULT_HUB.id) params.set("hub", hub);
+  const basis = getSelectedBasis();
+  if (basis !== DEFAULT_BASIS) params.set("b", basis.id);
+  const feeParam = feesToParam();
+  if (feeParam !== DEFAULT_FEE_PARAM) params.set("fee", feeParam);
+  if (window.__esiBase) params.set("esi", window.__esiBase);
+  if (window.__refBase) params.set("ref", window.__refBase);
 
   return `${location.origin}${location.pathname}?${params.toString()}`;
 }
 
+// ---------------------------
+// Export
+// ---------------------------
+// Everything behind the last calculation, for archiving / auditing payouts.
+function buildExport(result) {
+  const { calc, input, priceSource, computedAt, freshness: f, shareUrl, eivSource } = result;
+  const m3 = (units, td) => units * (td?.volume || 0);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    calculatedAt: new Date(computedAt).toISOString(),
+    pricesAsOf: f?.time ? new Date(f.time).toISOString() : null,
+    pricesStale: Boolean(f?.stale),
+    shareUrl,
+    input: {
+      durationMinutes: input.durationMinutes,
+      harvesters: input.harvesters,
+      reprocessYieldPct: input.reprocessYieldPct,
+      yieldProfile: input.yieldProfile ?? null,
+      reprocessTaxPct: input.reprocessTaxPct,
+      reprocessTaxBasis: !calc.tax ? null : calc.tax.basis === "eiv" ? `estimated item value (${eivSource || "ESI adjusted prices"})` : "market value",
+      hub: { id: calc.hub.id, name: calc.hub.name, stationId: calc.hub.stationId, regionId: calc.hub.regionId },
+      priceBasis: calc.basis.id,
+      priceSource: calc.depth ? "esi-orderbook" : priceSource,
+      history: input.history,
+      fees: calc.fees,
+      crit: input.crit,
+      hauling: input.hauling,
+    },
+    fleet: {
+      totalM3: calc.fleet.totalM3,
+      m3PerHour: calc.fleet.m3PerHour,
+      shipCount: calc.fleet.shipCount,
+      shipCycles: calc.fleet.shipCycles,
+    },
+    materials: calc.rows.map((r) => ({
+      material: r.typeData.name,
+      typeId: r.typeId,
+      units: r.unitsMined,
+      m3: m3(r.unitsMined, r.typeData),
+      raw: { unitPrice: r.orePrice, gross: r.rawGross, fees: r.rawFees, net: r.rawTotal, perHour: r.rawPerHour },
+      compressed: r.compressed
+        ? {
+          item: r.compressed.typeData.name,
+          typeId: r.compressed.typeId,
+          units: r.compressed.units,
+          m3: r.compressed.m3,
+          unitPrice: r.compressedPrice,
+          gross: r.compressedGross,
+          fees: r.compressedGross !== null ? r.compressedGross - r.compressedTotal : null,
+          net: r.compressedTotal,
+          perHour: r.compressedPerHour,
+        }
+        : null,
+      reprocessed: !r.reprocessable ? null : {
+        yieldPct: r.reprocessYieldPct,
+        gross: r.reprocessTotal,
+        reprocessTax: r.taxFee,
+        marketFees: r.marketFees,
+        net: r.reprocessNet,
+        perHour: r.reprocessPerHour,
+        outputs: r.reprocessRows.map((o) => ({
+          item: o.name,
+          typeId: o.typeId,
+          qty: o.qty,
+          unitPrice: o.unitPrice,
+          value: o.totalValue,
+          estimatedItemValue: o.eiv,
+          tax: o.taxFee,
+          taxOnMarketValue: o.taxOnMarket,
+          marketFees: o.marketFee,
+          net: o.netValue,
+        })),
+      },
+    })),
+  };
+}
+
+// Parameters block, blank line, then one line per item (raw, compressed, each output, reprocessed total).
+function exportGrid(data) {
+  const params = [
+    ["exported_at", data.exportedAt],
+    ["calculated_at", data.calculatedAt],
+    ["prices_as_of", data.pricesAsOf ?? ""],
+    ["prices_stale", data.pricesStale ? "yes" : "no"],
+    ["hub", `${data.input.hub.name} (${data.input.hub.stationId})`],
+    ["price_basis", data.input.priceBasis],
+    ["price_source", data.input.priceSource],
+    ["duration_minutes", data.input.durationMinutes],
+    ["harvesters", data.input.harvesters.map((h) => `${h.count}x ${h.name} ${h.yieldPerCycle} m3/${h.cycleTimeSeconds}s`).join("; ")],
+    ["reprocess_yield_pct", data.input.yieldProfile
+      ? data.materials.map((m) => `${m.material} ${m.reprocessed ? Math.round(m.reprocessed.yieldPct * 100) / 100 : "-"}`).join("; ")
+      : data.input.reprocessYieldPct],
+    ["reprocess_tax_pct", data.input.reprocessTaxPct],
+    ["reprocess_tax_basis", data.input.reprocessTaxBasis ?? ""],
+    ["sales_tax_pct", data.input.fees ? data.input.fees.salesTaxPct : 0],
+    ["broker_fee_pct", data.input.fees ? data.input.fees.brokerFeePct : 0],
+    ["total_m3", data.fleet.totalM3],
+    ["share_url", data.shareUrl],
+  ];
+
+  const header = ["material", "material_type_id", "path", "item", "item_type_id", "qty", "unit_price", "gross_isk", "fees_isk", "net_isk", "isk_per_hour"];
+  const lines = [];
+  for (const m of data.materials) {
+    const base = [m.material, m.typeId];
+    lines.push([...base, "raw", m.material, m.typeId, m.units, m.raw.unitPrice, m.raw.gross, m.raw.fees, m.raw.net, m.raw.perHour]);
+    if (m.compressed) {
+      const c = m.compressed;
+      lines.push([...base, "compressed", c.item, c.typeId, c.units, c.unitPrice, c.gross, c.fees, c.net, c.perHour]);
+    }
+    const r = m.reprocessed;
+    if (!r) continue;
+    for (const o of r.outputs) {
+      lines.push([...base, "reprocessed", o.item, o.typeId, o.qty, o.unitPrice, o.value, o.tax + o.marketFees, o.net, null]);
+    }
+    lines.push([...base, "reprocessed", "Reprocessed total", null, null, null, r.gross, r.reprocessTax + r.marketFees, r.net, r.perHour]);
+  }
+
+  return [...params, [], header, ...lines];
+}
+
+function toDelimited(grid, sep) {
+  const cell = (v) => {
+    if (v === null || v === undefined) return "";
+    const str = typeof v === "number" ? String(Math.round(v * 100) / 100) : String(v);
+    if (sep === "\t") return str.replace(/[\t\n]/g, " ");
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return grid.map((line) => line.map(cell).join(sep)).join("\n");
+}
+
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// eve-harvest-2026-10-19-1432.csv
+function exportFilename(data, ext) {
+  return `eve-harvest-${data.calculatedAt.slice(0, 16).replace("T", "-").replace(":", "")}.${ext}`;
+}
+
+async function onExport(kind) {
+  const result = window.__lastResult;
+  if (!result) return setStatus("Calculate first, then export.", "error");
+
+  const data = buildExport(result);
+  if (kind === "json") {
+    downloadText(exportFilename(data, "json"), JSON.stringify(data, null, 2), "application/json");
+    setStatus("Exported JSON.", "ok");
+  } else if (kind === "csv") {
+    downloadText(exportFilename(data, "csv"), toDelimited(exportGrid(data), ","), "text/csv");
+    setStatus("Exported CSV.", "ok");
+  } else {
+    const ok = await copyTextToClipboard(toDelimited(exportGrid(data), "\t"));
+    setStatus(ok ? "Copied a tab-separated table: paste it into cell A1 of a sheet." : "Could not copy to the clipboard.", ok ? "ok" : "error");
+  }
+}
+
+function setExportEnabled(on) {
+  for (const id of ["exportCsvBtn", "exportJsonBtn", "copyTsvBtn"]) document.getElementById(id).disabled = !on;
+}
+
 async function copyTextToClipboard(text) {
   try {
     await navigator.clipboard.writeText(text);
@@ -525,135 +1035,649 @@ async function copyTextToClipboard(text) {
 }
 
 // ---------------------------
-// Main
+// Fleet list (extra harvesters)
 // ---------------------------
-function populateSuggestions() {
-  const dl = document.getElementById("materialSuggestions");
-  dl.innerHTML = MATERIAL_SUGGESTIONS.map((s) => `<option value="${escapeHtml(s)}"></option>`).join("");
+function addFleetRow({ name = "", yieldPerCycle = "", cycleTimeSeconds = "", count = 1, holdM3 = "" } = {}) {
+  const list = document.getElementById("fleetList");
+  const row = document.createElement("div");
+  row.className = "fleet-row";
+  row.innerHTML = `
+    <input class="fleet-name" type="text" placeholder="Hull / label (e.g. Skiff)" aria-label="Harvester name" />
+    <input class="fleet-yield" type="number" min="0" step="0.01" placeholder="m³/cycle" aria-label="Yield per cycle (m³)" />
+    <input class="fleet-cycle" type="number" min="0.1" step="0.1" placeholder="Cycle (s)" aria-label="Cycle time (seconds)" />
+    <input class="fleet-hold" type="number" min="0" step="1" placeholder="Hold m³" aria-label="Ore hold (m³)" />
+    <input class="fleet-count" type="number" min="1" step="1" aria-label="Ship count" />
+    <button type="button" class="secondary fleet-remove">Remove</button>
+  `;
+  row.querySelector(".fleet-name").value = name;
+  row.querySelector(".fleet-yield").value = String(yieldPerCycle);
+  row.querySelector(".fleet-cycle").value = String(cycleTimeSeconds);
+  row.querySelector(".fleet-hold").value = String(holdM3);
+  row.querySelector(".fleet-count").value = String(count);
+  row.querySelector(".fleet-remove").addEventListener("click", () => row.remove());
+  list.appendChild(row);
+  return row;
 }
 
-function resetUi() {
-  document.getElementById("yieldPerCycle").value = "1000";
-  document.getElementById("cycleTimeSeconds").value = "92.2";
-  document.getElementById("durationMinutes").value = "15";
-  document.getElementById("materialName").value = "";
-  document.getElementById("materialTypeId").value = "";
-  document.getElementById("reprocessYieldPct").value = "100";
-  window.__reprocessTaxPct = 0;
-  document.getElementById("priceSource").value = "fuzzwork";
+// Raw values of the extra rows (no validation; used for the share URL).
+function readFleetRows() {
+  return [...document.querySelectorAll("#fleetList .fleet-row")].map((row, i) => ({
+    name: row.querySelector(".fleet-name").value.trim() || `Harvester ${i + 2}`,
+    yieldPerCycle: Number(row.querySelector(".fleet-yield").value),
+    cycleTimeSeconds: Number(row.querySelector(".fleet-cycle").value),
+    count: Math.floor(Number(row.querySelector(".fleet-count").value)),
+    holdM3: Number(row.querySelector(".fleet-hold").value) || 0,
+  }));
+}
 
-  document.getElementById("summary").innerHTML = `<div class="placeholder">Enter inputs and click <b>Calculate</b>.</div>`;
-  setTableMessage("rawTable", 6, "No calculation yet.");
-  setTableMessage("reprocessTable", 5, "No calculation yet.");
-  document.getElementById("reprocessTotalCell").textContent = "—";
-  document.getElementById("compareBox").innerHTML = "";
-  setStatus("Ready.");
+// Main ship (top inputs) + extra rows, validated.
+function readHarvesters(yieldPerCycle, cycleTimeSeconds) {
+  const holdM3 = Number(document.getElementById("oreHoldM3").value) || 0;
+  const harvesters = [{ name: "Main ship", yieldPerCycle, cycleTimeSeconds, count: 1, holdM3 }];
+  for (const h of readFleetRows()) {
+    if (!(h.yieldPerCycle > 0)) throw new Error(`${h.name}: yield per cycle must be > 0.`);
+    if (!(h.cycleTimeSeconds > 0)) throw new Error(`${h.name}: cycle time must be > 0.`);
+    if (!(h.count >= 1)) throw new Error(`${h.name}: ship count must be at least 1.`);
+    harvesters.push(h);
+  }
+  return harvesters;
 }
 
+// ---------------------------
+// Market hub
+// ---------------------------
+function populateHubs() {
+  const sel = document.getElementById("marketHub");
+  sel.innerHTML = MARKET_HUBS.map((h) => `<option value="${h.id}">${escapeHtml(h.name)}</option>`).join("")
+    + `<option value="custom">Custom station/region…</option>`;
+  sel.value = DEFAULT_HUB.id;
+  syncCustomHub();
+}
 
-async function getNamesESI(typeIds) {
-  const ids = Array.from(new Set(typeIds.map((x) => Number(x)).filter((x) => Number.isFinite(x) && x > 0)));
-  if (ids.length === 0) return new Map();
-  // ESI /universe/names supports bulk resolution.
-  const url = "https://esi.evetech.net/latest/universe/names/?datasource=tranquility";
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json", "Accept": "application/json" },
-    body: JSON.stringify(ids),
-  });
-  if (!res.ok) throw new Error(`ESI universe/names failed: HTTP ${res.status}`);
-  const arr = await res.json();
-  const out = new Map();
-  if (Array.isArray(arr)) {
-    for (const rec of arr) {
-      if (rec?.category === "inventory_type" && Number.isFinite(Number(rec.id))) {
-        out.set(Number(rec.id), String(rec.name));
-      }
-    }
-  }
-  return out;
+function syncCustomHub() {
+  const custom = document.getElementById("marketHub").value === "custom";
+  document.getElementById("customHubFields").hidden = !custom;
 }
 
-function getPriceSellMin(priceMap, typeId) {
-  const rec = priceMap.get(Number(typeId));
-  return rec ? (rec.sellMin ?? null) : null;
+function getSelectedHub() {
+  const v = document.getElementById("marketHub").value;
+  if (v !== "custom") return MARKET_HUBS.find((h) => h.id === v) || DEFAULT_HUB;
+
+  const stationId = Math.floor(Number(document.getElementById("customStationId").value));
+  const regionId = Math.floor(Number(document.getElementById("customRegionId").value));
+  if (!(stationId > 0) || !(regionId > 0)) throw new Error("Custom hub needs a station ID and a region ID.");
+  return { id: "custom", name: `Station ${stationId}`, station: `Station ${stationId}`, stationId, regionId };
 }
 
-function updateUrlFromInputs(selectedTypeId) {
-  const y = Number(document.getElementById("yieldPerCycle").value);
-  const c = Number(document.getElementById("cycleTimeSeconds").value);
-  const m = Number(document.getElementById("durationMinutes").value);
-  const name = document.getElementById("materialName").value.trim();
-  const r = Number(document.getElementById("reprocessYieldPct").value);
-  const p = document.getElementById("priceSource").value;
+// Known hubs by id; custom hubs as "station:region".
+function hubToParam() {
+  const v = document.getElementById("marketHub").value;
+  if (v !== "custom") return v;
+  const st = document.getElementById("customStationId").value.trim();
+  const rg = document.getElementById("customRegionId").value.trim();
+  return st && rg ? `${st}:${rg}` : "";
+}
 
-  const params = new URLSearchParams();
-  if (Number.isFinite(y)) params.set("y", String(y));
-  if (Number.isFinite(c)) params.set("c", String(c));
-  if (Number.isFinite(m)) params.set("m", String(m));
-  if (name) params.set("name", name);
-  if (Number.isFinite(selectedTypeId) && selectedTypeId > 0) params.set("type", String(selectedTypeId));
-  if (Number.isFinite(r)) params.set("r", String(r));
-  if (p) params.set("p", p);
+function applyHubParam(str) {
+  const v = String(str);
+  const sel = document.getElementById("marketHub");
+  if (MARKET_HUBS.some((h) => h.id === v)) {
+    sel.value = v;
+  } else if (/^\d+:\d+$/.test(v)) {
+    const [st, rg] = v.split(":");
+    sel.value = "custom";
+    document.getElementById("customStationId").value = st;
+    document.getElementById("customRegionId").value = rg;
+  }
+  syncCustomHub();
+}
 
-  history.replaceState({}, "", `${location.pathname}?${params.toString()}`);
+function populateBases() {
+  const sel = document.getElementById("priceBasis");
+  sel.innerHTML = PRICE_BASES.map((b) => `<option value="${b.id}">${escapeHtml(b.name)}</option>`).join("");
+  sel.value = DEFAULT_BASIS.id;
 }
 
-function renderRawSelected(row) {
-  renderRawRow({
-    typeData: row.typeData,
-    units: row.unitsMined,
-    price: row.oreSell,
+function getSelectedBasis() {
+  const v = document.getElementById("priceBasis").value;
+  return PRICE_BASES.find((b) => b.id === v) || DEFAULT_BASIS;
+}
+
+// ---------------------------
+// Market fee inputs
+// ---------------------------
+const FEE_FIELDS = [
+  ["accounting", "skillAccounting"],
+  ["brokerRelations", "skillBrokerRelations"],
+  ["factionStanding", "factionStanding"],
+  ["corpStanding", "corpStanding"],
+  ["structureBrokerPct", "structureBrokerPct"],
+];
+
+// null when fees are switched off.
+function readMarketFees() {
+  if (document.getElementById("applyMarketFees").value !== "1") return null;
+  const v = (id) => document.getElementById(id).value.trim();
+  return calcMarketFees({
+    accounting: Number(v("skillAccounting")),
+    brokerRelations: Number(v("skillBrokerRelations")),
+    factionStanding: Number(v("factionStanding")),
+    corpStanding: Number(v("corpStanding")),
+    structureBrokerPct: v("structureBrokerPct") === "" ? null : Number(v("structureBrokerPct")),
   });
 }
 
-function renderComparison(rows, usedSeconds, taxPct) {
-  const el = document.getElementById("compareBox");
+// "on~accounting~brokerRelations~faction~corp~structure"
+const DEFAULT_FEE_PARAM = "1~5~5~0~0~";
 
-  // Default sort: best reprocessed ISK/hr desc
-  const state = window.__compareState || { key: "reprocessPerHour", dir: "desc", selectedTypeId: null };
-  window.__compareState = state;
+function feesToParam() {
+  const on = document.getElementById("applyMarketFees").value;
+  return [on, ...FEE_FIELDS.map(([, id]) => document.getElementById(id).value.trim().replace(/~/g, ""))].join("~");
+}
 
-  const sorted = rows.slice().sort((a, b) => {
-    const av = a[state.key] ?? 0;
-    const bv = b[state.key] ?? 0;
-    return state.dir === "asc" ? (av - bv) : (bv - av);
+function applyFeesParam(str) {
+  const [on, ...rest] = String(str).split("~");
+  document.getElementById("applyMarketFees").value = on === "0" ? "0" : "1";
+  FEE_FIELDS.forEach(([, id], i) => {
+    if (rest[i] !== undefined && (rest[i] === "" || Number.isFinite(Number(rest[i])))) document.getElementById(id).value = rest[i];
   });
+}
 
-  const headers = [
-    { key: "name", label: "Material" },
-    { key: "unitsMined", label: "Units" },
-    { key: "rawPerHour", label: "Raw ISK/hr" },
-    { key: "reprocessPerHour", label: "Repro ISK/hr" },
-    { key: "rawTotal", label: "Raw total" },
-    { key: "reprocessNet", label: "Repro total" },
-  ];
+// ---------------------------
+// Crits & residue inputs
+// ---------------------------
+const CRIT_FIELDS = [
+  ["critChancePct", "critChancePct"],
+  ["critBonusPct", "critBonusPct"],
+  ["residueChancePct", "residueChancePct"],
+  ["residueMult", "residueMult"],
+];
 
-  const headHtml = headers.map((h) => {
-    const active = state.key === h.key ? " active" : "";
-    const arrow = state.key === h.key ? (state.dir === "asc" ? " ▲" : " ▼") : "";
+function readCritInputs() {
+  const out = {};
+  for (const [key, id] of CRIT_FIELDS) out[key] = Number(document.getElementById(id).value) || 0;
+  return out;
+}
+
+function readSimOptions() {
+  const runs = clamp(Math.floor(Number(document.getElementById("simRuns").value) || 1000), 100, 20000);
+  const seed = Math.max(0, Math.floor(Number(document.getElementById("simSeed").value) || 0));
+  return { runs, seed };
+}
+
+// "chance~bonus~residueChance~residueMult~seed"
+function critToParam() {
+  const c = readCritInputs();
+  if (!calcCritResidue(c).active) return "";
+  return [...CRIT_FIELDS.map(([key]) => c[key]), readSimOptions().seed].join("~");
+}
+
+function applyCritParam(str) {
+  const parts = String(str).split("~");
+  CRIT_FIELDS.forEach(([, id], i) => {
+    const v = Number(parts[i]);
+    if (Number.isFinite(v)) document.getElementById(id).value = String(v);
+  });
+  const seed = Number(parts[CRIT_FIELDS.length]);
+  if (Number.isFinite(seed)) document.getElementById("simSeed").value = String(seed);
+}
+
+// ---------------------------
+// Ore hold & hauling inputs
+// ---------------------------
+function readHaulingInputs() {
+  return {
+    tripSeconds: Math.max(0, Number(document.getElementById("unloadTripSeconds").value) || 0),
+    hauled: document.getElementById("haulerService").value === "1",
+  };
+}
+
+// "hold~trip~hauled"
+function haulingToParam() {
+  const hold = Number(document.getElementById("oreHoldM3").value) || 0;
+  const { tripSeconds, hauled } = readHaulingInputs();
+  if (!(hold > 0) && !(tripSeconds > 0) && !hauled) return "";
+  return [hold || "", tripSeconds, hauled ? 1 : 0].join("~");
+}
+
+function applyHaulingParam(str) {
+  const [hold, trip, hauled] = String(str).split("~");
+  if (Number(hold) > 0) document.getElementById("oreHoldM3").value = String(Number(hold));
+  if (Number.isFinite(Number(trip))) document.getElementById("unloadTripSeconds").value = String(Number(trip));
+  document.getElementById("haulerService").value = hauled === "1" ? "1" : "0";
+}
+
+// ---------------------------
+// Fitting builder
+// ---------------------------
+const FIT_FIELDS = [
+  ["hullId", "fitHull"],
+  ["moduleId", "fitModule"],
+  ["moduleCount", "fitModuleCount"],
+  ["crystalId", "fitCrystal"],
+  ["upgradeId", "fitUpgrade"],
+  ["upgradeCount", "fitUpgradeCount"],
+  ["skillMining", "fitSkillMining"],
+  ["skillAstro", "fitSkillAstro"],
+  ["skillHull", "fitSkillHull"],
+  ["skillIce", "fitSkillIce"],
+  ["boostId", "fitBoost"],
+  ["boostPct", "fitBoostPct"],
+];
+
+function optionsHtml(items, blankLabel = null) {
+  const blank = blankLabel ? `<option value="">${escapeHtml(blankLabel)}</option>` : "";
+  return blank + items.map((x) => `<option value="${escapeHtml(x.id)}">${escapeHtml(x.name)}</option>`).join("");
+}
+
+function populateFittingBuilder() {
+  document.getElementById("fitHull").innerHTML = optionsHtml(HULLS, "— choose hull —");
+  document.getElementById("fitCrystal").innerHTML = optionsHtml(CRYSTALS);
+  document.getElementById("fitUpgrade").innerHTML = optionsHtml(UPGRADES);
+  document.getElementById("fitBoost").innerHTML = optionsHtml(BOOSTS);
+  syncFitModules();
+}
+
+// Only offer modules the selected hull can fit.
+function syncFitModules() {
+  const hull = HULLS.find((h) => h.id === document.getElementById("fitHull").value);
+  const sel = document.getElementById("fitModule");
+  const prev = sel.value;
+  const mods = hull ? MINING_MODULES.filter((m) => m.class === hull.moduleClass) : MINING_MODULES;
+  sel.innerHTML = optionsHtml(mods);
+  if (mods.some((m) => m.id === prev)) sel.value = prev;
+  document.getElementById("fitHullSkillLabel").textContent = hull ? hull.skill : "Hull skill";
+}
+
+function readFitInputs() {
+  const fit = {};
+  for (const [key, id] of FIT_FIELDS) fit[key] = document.getElementById(id).value;
+  return fit;
+}
+
+function applyFitToInputs(fit) {
+  document.getElementById("fitHull").value = fit.hullId || "";
+  syncFitModules();
+  for (const [key, id] of FIT_FIELDS) {
+    if (key === "hullId" || fit[key] === undefined || fit[key] === "") continue;
+    const el = document.getElementById(id);
+    if (el.tagName === "SELECT" && ![...el.options].some((o) => o.value === fit[key])) continue;
+    el.value = fit[key];
+  }
+  renderFitPreview();
+}
+
+function fitToParam(fit) {
+  return FIT_FIELDS.map(([key]) => String(fit[key] ?? "").replace(/~/g, "")).join("~");
+}
+
+function fitFromParam(str) {
+  const parts = String(str).split("~");
+  const fit = {};
+  FIT_FIELDS.forEach(([key], i) => { fit[key] = parts[i] ?? ""; });
+  return fit;
+}
+
+function renderFitPreview() {
+  const el = document.getElementById("fitPreview");
+  const res = calcFitting(readFitInputs());
+  if (!res) {
+    el.textContent = "Pick a hull and module.";
+    return null;
+  }
+  el.innerHTML = `${escapeHtml(res.hull.name)}: ${fmtInt(res.moduleCount)}× ${escapeHtml(res.module.name)} → <b>${fmtNum(res.yieldPerCycle, 2)} m³</b> per cycle every <b>${fmtNum(res.cycleTimeSeconds, 2)} s</b>`;
+  return res;
+}
+
+function wireFittingBuilder() {
+  const box = document.querySelector("details.fitting");
+  box.addEventListener("change", renderFitPreview);
+  box.addEventListener("input", renderFitPreview);
+
+  document.getElementById("fitHull").addEventListener("change", () => {
+    syncFitModules();
+    const hull = HULLS.find((h) => h.id === document.getElementById("fitHull").value);
+    if (hull) document.getElementById("fitModuleCount").value = String(hull.modules);
+    renderFitPreview();
+  });
+
+  document.getElementById("applyFitBtn").addEventListener("click", () => {
+    const res = renderFitPreview();
+    if (!res) return setStatus("Pick a hull and module first.", "error");
+    document.getElementById("yieldPerCycle").value = String(res.yieldPerCycle);
+    document.getElementById("cycleTimeSeconds").value = String(res.cycleTimeSeconds);
+    document.getElementById("critChancePct").value = String(res.critChance * 100);
+    document.getElementById("critBonusPct").value = String(res.critBonus * 100);
+    document.getElementById("residueChancePct").value = String(res.residueChance * 100);
+    document.getElementById("residueMult").value = String(res.residueMult);
+    document.getElementById("oreHoldM3").value = String(res.oreHoldM3);
+    setStatus(`Main ship set from fitting: <b>${fmtNum(res.yieldPerCycle, 2)} m³</b> / <b>${fmtNum(res.cycleTimeSeconds, 2)} s</b>.`);
+  });
+
+  document.getElementById("addFitToFleetBtn").addEventListener("click", () => {
+    const res = renderFitPreview();
+    if (!res) return setStatus("Pick a hull and module first.", "error");
+    addFleetRow({ name: res.hull.name, yieldPerCycle: res.yieldPerCycle, cycleTimeSeconds: res.cycleTimeSeconds, count: 1, holdM3: res.oreHoldM3 });
+    setStatus(`Added ${escapeHtml(res.hull.name)} to the fleet.`);
+  });
+}
+
+// ---------------------------
+// Material autocomplete
+// ---------------------------
+// Harvestable bundled types, ore families ("Veldspar family" = every grade) and any suggestion that isn't bundled.
+const SUGGESTION_TYPES = [
+  ...BUNDLED_TYPES.filter((t) => BUNDLED_GROUPS[t.groupId]?.categoryId === 25),
+  ...ORE_FAMILIES.map((f) => ({ typeId: null, name: `${f.name} family`, hint: `${f.types.length} grades` })),
+  ...MATERIAL_SUGGESTIONS.filter((name) => !BUNDLED_TYPES.some((t) => t.name === name)).map((name) => ({ typeId: null, name })),
+];
+const suggest = { items: [], active: -1 };
+
+// The name being typed: everything after the last comma.
+function materialToken(value) {
+  const start = value.lastIndexOf(",") + 1;
+  return { start, text: value.slice(start).trim() };
+}
+
+function hideSuggestions() {
+  const list = document.getElementById("materialSuggestions");
+  suggest.items = [];
+  suggest.active = -1;
+  list.hidden = true;
+  list.innerHTML = "";
+  document.getElementById("materialName").setAttribute("aria-expanded", "false");
+}
+
+function renderSuggestions() {
+  const input = document.getElementById("materialName");
+  const list = document.getElementById("materialSuggestions");
+  const { text } = materialToken(input.value);
+  const items = text ? searchTypes(text, { types: SUGGESTION_TYPES, limit: 8 }) : [];
+  // Nothing to offer once the token is already an exact name.
+  if (items.length === 0 || (items.length === 1 && items[0].score === 100)) return hideSuggestions();
+
+  suggest.items = items;
+  suggest.active = Math.min(suggest.active, items.length - 1);
+  list.innerHTML = items
+    .map((t, i) => {
+      const note = t.hint ?? BUNDLED_GROUPS[t.groupId]?.name;
+      return `<li role="option" data-index="${i}" class="${i === suggest.active ? "active" : ""}" aria-selected="${i === suggest.active}">
+        ${escapeHtml(t.name)}${note ? ` <small>${escapeHtml(note)}</small>` : ""}
+      </li>`;
+    })
+    .join("");
+  list.hidden = false;
+  input.setAttribute("aria-expanded", "true");
+}
+
+function pickSuggestion(index) {
+  const t = suggest.items[index];
+  if (!t) return;
+  const input = document.getElementById("materialName");
+  const { start } = materialToken(input.value);
+  input.value = `${input.value.slice(0, start)}${start ? " " : ""}${t.name}`;
+  hideSuggestions();
+  input.focus();
+}
+
+function wireAutocomplete() {
+  const input = document.getElementById("materialName");
+  const list = document.getElementById("materialSuggestions");
+
+  input.addEventListener("input", () => {
+    suggest.active = -1;
+    renderSuggestions();
+  });
+  input.addEventListener("blur", hideSuggestions);
+  input.addEventListener("keydown", (e) => {
+    if (list.hidden || suggest.items.length === 0) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      suggest.active = (suggest.active + step + suggest.items.length) % suggest.items.length;
+      renderSuggestions();
+    } else if ((e.key === "Enter" && suggest.active >= 0) || e.key === "Tab") {
+      // Tab takes the top match, Enter only an explicitly highlighted one (otherwise it submits).
+      e.preventDefault();
+      pickSuggestion(Math.max(0, suggest.active));
+    } else if (e.key === "Escape") {
+      hideSuggestions();
+    }
+  });
+  // mousedown, not click: it fires before the input's blur closes the list.
+  list.addEventListener("mousedown", (e) => {
+    const li = e.target.closest("li[data-index]");
+    if (!li) return;
+    e.preventDefault();
+    pickSuggestion(Number(li.dataset.index));
+  });
+}
+
+// ---------------------------
+// Main
+// ---------------------------
+
+// "Prices as of HH:MM", called out when any price came from the offline cache.
+function renderPriceFreshness() {
+  const el = document.getElementById("priceFreshness");
+  const f = window.__priceFreshness;
+  if (!f || f.time === null) {
+    el.hidden = true;
+    el.innerHTML = "";
+    return;
+  }
+  el.hidden = false;
+  el.className = `freshness${f.stale ? " stale" : ""}`;
+  el.innerHTML = f.stale
+    ? `⚠ Prices as of <b>${fmtClock(f.time)}</b> (stale): couldn't reach the market APIs, so last-known prices were used.`
+    : `Prices as of <b>${fmtClock(f.time)}</b>.${window.__cacheWriteFailed ? " The offline cache is full, so these won't be available offline." : ""}`;
+}
+
+function resetUi() {
+  document.getElementById("yieldPerCycle").value = "1000";
+  document.getElementById("cycleTimeSeconds").value = "92.2";
+  document.getElementById("durationMinutes").value = "15";
+  document.getElementById("materialName").value = "";
+  document.getElementById("materialTypeId").value = "";
+  document.getElementById("reprocessYieldPct").value = "100";
+  window.__reprocessTaxPct = 0;
+  window.__yieldProfile = null;
+  document.querySelectorAll("#processingSkills input").forEach((el) => { el.value = ""; });
+  window.__adjustedPrices = null;
+  renderEivSource();
+  document.getElementById("priceSource").value = "fuzzwork";
+  document.getElementById("depthMode").value = "0";
+  document.getElementById("historyMode").value = "0";
+  document.getElementById("priceFreshness").hidden = true;
+  window.__lastResult = null;
+  setExportEnabled(false);
+  document.getElementById("marketHub").value = DEFAULT_HUB.id;
+  document.getElementById("customStationId").value = "";
+  document.getElementById("customRegionId").value = "";
+  syncCustomHub();
+  document.getElementById("priceBasis").value = DEFAULT_BASIS.id;
+  document.getElementById("applyMarketFees").value = "1";
+  document.getElementById("skillAccounting").value = "5";
+  document.getElementById("skillBrokerRelations").value = "5";
+  document.getElementById("factionStanding").value = "0";
+  document.getElementById("corpStanding").value = "0";
+  document.getElementById("structureBrokerPct").value = "";
+  setPriceHeaders(DEFAULT_HUB);
+  window.__selectedRow = null;
+  document.getElementById("hubCompareBox").innerHTML = "";
+  document.getElementById("fleetList").innerHTML = "";
+  document.getElementById("fitHull").value = "";
+  syncFitModules();
+  renderFitPreview();
+  for (const [, id] of CRIT_FIELDS) document.getElementById(id).value = "0";
+  document.getElementById("simRuns").value = "1000";
+  document.getElementById("simSeed").value = "1";
+  document.getElementById("oreHoldM3").value = "";
+  document.getElementById("unloadTripSeconds").value = "0";
+  document.getElementById("haulerService").value = "0";
+
+  document.getElementById("summary").innerHTML = `<div class="placeholder">Enter inputs and click <b>Calculate</b>.</div>`;
+  setTableMessage("rawTable", 10, "No calculation yet.");
+  setTableMessage("reprocessTable", 11, "No calculation yet.");
+  setTableMessage("fleetTable", 11, "No calculation yet.");
+  document.getElementById("critBox").innerHTML = `<div class="placeholder">Crit and residue chances are 0: every cycle pulls exactly the entered yield.</div>`;
+  document.getElementById("haulBox").innerHTML = `<div class="placeholder">No ore hold set: mining is assumed to run uninterrupted.</div>`;
+  setTableMessage("haulTable", 8, "No calculation yet.");
+  document.getElementById("reprocessTotalCell").textContent = "—";
+  document.getElementById("trendNote").innerHTML = "";
+  document.getElementById("compareBox").innerHTML = "";
+  setStatus(restoreActiveProfile() ? `Ready. Using profile <b>${escapeHtml(activeProfileName())}</b>.` : "Ready.");
+}
+
+
+function updateUrlFromInputs(selectedTypeId) {
+  const y = Number(document.getElementById("yieldPerCycle").value);
+  const c = Number(document.getElementById("cycleTimeSeconds").value);
+  const m = Number(document.getElementById("durationMinutes").value);
+  const name = document.getElementById("materialName").value.trim();
+  const r = Number(document.getElementById("reprocessYieldPct").value);
+  const p = document.getElementById("priceSource").value;
+
+  const params = new URLSearchParams();
+  if (Number.isFinite(y)) params.set("y", String(y));
+  if (Number.isFinite(c)) params.set("c", String(c));
+  if (Number.isFinite(m)) params.set("m", String(m));
+  if (name) params.set("name", name);
+  if (Number.isFinite(selectedTypeId) && selectedTypeId > 0) params.set("type", String(selectedTypeId));
+  if (Number.isFinite(r)) params.set("r", String(r));
+  if (p) params.set("p", p);
+  if (document.getElementById("depthMode").value === "1") params.set("d", "1");
+  if (document.getElementById("historyMode").value === "1") params.set("hist", "1");
+  const extra = readFleetRows();
+  if (extra.length) params.set("f", fleetToParam(extra));
+  const fit = readFitInputs();
+  if (fit.hullId) params.set("fit", fitToParam(fit));
+  const cr = critToParam();
+  if (cr) params.set("cr", cr);
+  const h = haulingToParam();
+  if (h) params.set("h", h);
+  const hub = hubToParam();
+  if (hub && hub !== DEFAULT_HUB.id) params.set("hub", hub);
+  const basis = getSelectedBasis();
+  if (basis !== DEFAULT_BASIS) params.set("b", basis.id);
+  const feeParam = feesToParam();
+  if (feeParam !== DEFAULT_FEE_PARAM) params.set("fee", feeParam);
+  if (window.__esiBase) params.set("esi", window.__esiBase);
+  if (window.__refBase) params.set("ref", window.__refBase);
+
+  history.replaceState({}, "", `${location.pathname}?${params.toString()}`);
+}
+
+function renderRawSelected(row) {
+  renderRawRow({
+    typeData: row.typeData,
+    units: row.unitsMined,
+    price: row.orePrice,
+    total: row.rawGross,
+    depth: row.rawDepth,
+    compressed: row.compressed,
+    compressedPrice: row.compressedPrice,
+    compressedTotal: row.compressedGross,
+    compressedDepth: row.compressedDepth,
+    trend: row.rawTrend,
+    compressedTrend: row.compressedTrend,
+  });
+}
+
+// Everything below the summary that follows the selected material.
+function renderSelectedRow(calc, row) {
+  window.__selectedRow = row;
+  renderRawSelected(row);
+  const taxText = taxBasisText(calc.tax, calc.hub, calc.basis);
+  const onMarket = row.reprocessRows.some((r) => r.taxOnMarket);
+  renderReprocessTable({
+    materialsRows: row.reprocessRows,
+    gross: row.reprocessTotal,
+    tax: row.taxFee,
+    total: row.reprocessNet,
+    typeData: row.typeData,
+    reprocessable: row.reprocessable,
+    taxNote: taxText ? `${taxText}. Net is after tax${calc.fees ? " and market fees" : ""}.${onMarket ? " * = no estimated item value, taxed on market value." : ""}` : "",
+  });
+  renderFleetBreakdown(calc.fleet, row);
+  renderCritPanel(calc.fleet, calc.mods, calc.sim, row);
+  renderHaulPanel(calc, row);
+}
+
+function renderComparison(rows, calc) {
+  const el = document.getElementById("compareBox");
+
+  // Default sort: each row's ranking value desc (reprocessed ISK/hr, raw ISK/hr for gas)
+  const state = window.__compareState || { key: "rankValue", dir: "desc", selectedTypeId: null };
+  window.__compareState = state;
+
+  const sorted = rows.slice().sort((a, b) => {
+    const av = a[state.key] ?? 0;
+    const bv = b[state.key] ?? 0;
+    return state.dir === "asc" ? (av - bv) : (bv - av);
+  });
+
+  const headers = [
+    { key: "name", label: "Material" },
+    { key: "unitsMined", label: "Units" },
+    { key: "rawPerHour", label: "Raw ISK/hr" },
+    { key: "compressedPerHour", label: "Compr ISK/hr" },
+    { key: "reprocessPerHour", label: "Repro ISK/hr" },
+    { key: "reprocessYieldPct", label: "Repro yield" },
+    { key: "rawTotal", label: "Raw total" },
+    { key: "compressedTotal", label: "Compr total" },
+    { key: "reprocessNet", label: "Repro total" },
+  ];
+
+  const headHtml = headers.map((h) => {
+    const on = state.key === h.key || (state.key === "rankValue" && h.key === calc.rankBy);
+    const active = on ? " active" : "";
+    const arrow = on ? (state.dir === "asc" ? " ▲" : " ▼") : "";
     return `<th class="sortable${active}" data-key="${h.key}">${escapeHtml(h.label)}${arrow}</th>`;
   }).join("");
 
-  const bodyHtml = sorted.map((r) => {
-    const sel = (state.selectedTypeId ?? sorted[0]?.typeId) === r.typeId ? ` class="row-selected"` : "";
+  // Each row's ranking value is bold.
+  const cellFor = (r, key) => (r[key] === null ? "—" : key === r.rankBy ? `<b>${fmtISK(r[key])}</b>` : fmtISK(r[key]));
+
+  // Grades of one ore family stay together under a family row; groups keep the order of their top row.
+  const groups = [];
+  for (const r of sorted) {
+    const key = r.family ? `family:${r.family.groupId}` : `type:${r.typeId}`;
+    let g = groups.find((x) => x.key === key);
+    if (!g) groups.push((g = { key, family: r.family, rows: [] }));
+    g.rows.push(r);
+  }
+
+  const rowHtml = (r, grouped) => {
+    const classes = [grouped ? "family-member" : "", (state.selectedTypeId ?? sorted[0]?.typeId) === r.typeId ? "row-selected" : ""].filter(Boolean);
+    const grade = grouped ? ` <small class="grade">${r.family.grade ? `+${r.family.grade}%` : "base"}</small>` : "";
     return `
-      <tr data-typeid="${r.typeId}"${sel}>
-        <td>${escapeHtml(r.typeData.name)}</td>
+      <tr data-typeid="${r.typeId}"${classes.length ? ` class="${classes.join(" ")}"` : ""}>
+        <td>${escapeHtml(r.typeData.name)}${grade}</td>
         <td class="num">${fmtInt(r.unitsMined)}</td>
-        <td class="num">${r.rawPerHour !== null ? fmtISK(r.rawPerHour) : "—"}</td>
-        <td class="num"><b>${fmtISK(r.reprocessPerHour)}</b></td>
+        <td class="num">${cellFor(r, "rawPerHour")}</td>
+        <td class="num">${cellFor(r, "compressedPerHour")}</td>
+        <td class="num">${cellFor(r, "reprocessPerHour")}</td>
+        <td class="num"${r.processingSkill ? ` title="${escapeHtml(r.processingSkill)}"` : ""}>${r.reprocessable ? `${fmtNum(r.reprocessYieldPct, 1)}%` : "—"}</td>
         <td class="num">${r.rawTotal !== null ? fmtISK(r.rawTotal) : "—"}</td>
-        <td class="num"><b>${fmtISK(r.reprocessNet)}</b></td>
+        <td class="num">${r.compressedTotal !== null ? fmtISK(r.compressedTotal) : "—"}</td>
+        <td class="num">${fmtISK(r.reprocessNet)}</td>
       </tr>
     `;
+  };
+
+  const bodyHtml = groups.map((g) => {
+    if (!g.family || g.rows.length < 2) return g.rows.map((r) => rowHtml(r, false)).join("");
+    return familyRowHtml(g, "rankValue") + g.rows.map((r) => rowHtml(r, true)).join("");
   }).join("");
 
-  const taxNote = taxPct > 0 ? ` (tax approx: ${fmtNum(taxPct,1)}%)` : "";
+  const taxNote = (calc.tax ? ` Reprocessed values are after a ${taxBasisText(calc.tax, calc.hub, calc.basis)}.` : "")
+    + (calc.fees ? ` Totals are net of ${fmtNum(saleFeePct(calc.fees, calc.basis), 2)}% market fees.` : "")
+    + (calc.depth ? " Values walk the order book; unfilled units are not counted." : "");
 
   el.innerHTML = `
     <div style="margin-bottom:8px">
-      <b>Ore/Ice comparison</b>: click headers to sort; click a row to view details in the tables below.${taxNote}
+      <b>Ore/Ice/Gas comparison</b>: click headers to sort; click a row to view details in the tables below.${taxNote}
     </div>
     <div class="table-wrap">
       <table class="table compare-table" id="compareTable">
@@ -670,196 +1694,140 @@ function renderComparison(rows, usedSeconds, taxPct) {
       if (!key) return;
       if (state.key === key) state.dir = state.dir === "asc" ? "desc" : "asc";
       else { state.key = key; state.dir = "desc"; }
-      renderComparison(rows, usedSeconds, taxPct);
+      state.userSorted = true;
+      renderComparison(rows, calc);
     });
   });
 
   // Row selection wiring
-  el.querySelectorAll("tbody tr").forEach((tr) => {
+  el.querySelectorAll("tbody tr[data-typeid]").forEach((tr) => {
     tr.addEventListener("click", () => {
       const id = Number(tr.getAttribute("data-typeid"));
       const picked = rows.find((x) => x.typeId === id) || rows[0];
       state.selectedTypeId = picked.typeId;
 
-      renderRawSelected(picked);
-      renderReprocessTable({ materialsRows: picked.reprocessRows, total: picked.reprocessNet });
+      renderSelectedRow(calc, picked);
 
-      renderComparison(rows, usedSeconds, taxPct);
+      renderComparison(rows, calc);
     });
   });
 }
 
+// "Veldspar family · 4 grades · target Stable Veldspar first (+… ISK/hr over Veldspar)", ranked by the table's ranking column.
+function familyRowHtml(group, rankBy) {
+  const ranked = group.rows.filter((r) => r[rankBy] !== null).sort((a, b) => b[rankBy] - a[rankBy]);
+  const best = ranked[0];
+  const base = group.rows.find((r) => r.family.grade === 0 && r[rankBy] !== null);
+  const gain = best && base && best !== base
+    ? ` (+${fmtISK(best[rankBy] - base[rankBy])} ISK/hr over ${escapeHtml(base.typeData.name)})`
+    : "";
+  const target = best ? ` · target <b>${escapeHtml(best.typeData.name)}</b> first${gain}` : "";
+  return `<tr class="family-row"><td colspan="9"><b>${escapeHtml(group.family.name)} family</b> · ${group.rows.length} grades${target}</td></tr>`;
+}
+
+// Reprocessing, hub, price and fee settings shared by the harvest calculation and the cargo paste.
+function readMarketOptions() {
+  return {
+    reprocessYieldPct: Number(document.getElementById("reprocessYieldPct").value),
+    reprocessTaxPct: window.__reprocessTaxPct ? Number(window.__reprocessTaxPct) : 0,
+    adjustedPrices: window.__adjustedPrices?.prices || null,
+    yieldProfile: window.__yieldProfile || null,
+    hub: getSelectedHub(),
+    basis: getSelectedBasis(),
+    priceSource: document.getElementById("priceSource").value,
+    depth: document.getElementById("depthMode").value === "1",
+    history: document.getElementById("historyMode").value === "1",
+    fees: readMarketFees(),
+  };
+}
+
 async function onCalculate(e) {
   e.preventDefault();
 
   try {
     setStatus("Calculating…");
+    resetPriceFreshness();
 
     const yieldPerCycle = Number(document.getElementById("yieldPerCycle").value);
     const cycleTimeSeconds = Number(document.getElementById("cycleTimeSeconds").value);
     const durationMinutes = Number(document.getElementById("durationMinutes").value);
 
-    const materialNameInput = document.getElementById("materialName").value.trim();
-    const materialTypeIdInput = Number(document.getElementById("materialTypeId").value);
-
-    const reprocessYieldPct = Number(document.getElementById("reprocessYieldPct").value);
-    const priceSource = document.getElementById("priceSource").value;
-
-    const taxPct = window.__reprocessTaxPct ? Number(window.__reprocessTaxPct) : 0;
-
-    if (!(yieldPerCycle > 0)) throw new Error("Yield per cycle must be > 0.");
-    if (!(cycleTimeSeconds > 0)) throw new Error("Cycle time must be > 0.");
-    if (!(durationMinutes >= 0)) throw new Error("Duration must be >= 0.");
-
-    const { cycles, usedSeconds, leftoverSeconds } = calcCycles(durationMinutes, cycleTimeSeconds);
-        const totalM3 = cycles * yieldPerCycle;
-    if (cycles <= 0) {
+    const market = readMarketOptions();
+    const { hub, basis } = market;
+
+    const input = {
+      yieldPerCycle,
+      cycleTimeSeconds,
+      durationMinutes,
+      harvesters: readHarvesters(yieldPerCycle, cycleTimeSeconds),
+      materialName: document.getElementById("materialName").value,
+      materialTypeId: Number(document.getElementById("materialTypeId").value),
+      ...market,
+      crit: readCritInputs(),
+      sim: readSimOptions(),
+      hauling: readHaulingInputs(),
+    };
+    const calc = await calculateHarvest(input, webProvider, { onStatus: (msg, kind) => setStatus(escapeHtml(msg), kind) });
+
+    if (!calc) {
       renderEmptyAfterCalc();
       setStatus("No full cycles to compute.", "warn");
       return;
     }
 
-    // Targets
-    let targets = [];
-    if (Number.isFinite(materialTypeIdInput) && materialTypeIdInput > 0) {
-      targets = [{ name: materialNameInput || `Type ${Math.floor(materialTypeIdInput)}`, typeId: Math.floor(materialTypeIdInput) }];
-    } else {
-      if (!materialNameInput) throw new Error("Enter a material name or a Type ID.");
-
-      const names = materialNameInput.split(",").map((s) => s.trim()).filter(Boolean);
-      if (names.length === 0) throw new Error("Enter a material name.");
-
-      setStatus(`Resolving type IDs (${Math.min(names.length, 12)})…`);
-      for (const nm of names.slice(0, 12)) {
-        const id = await resolveTypeIdFromName(nm);
-        if (!id) throw new Error(`Could not resolve "${nm}". Make sure it matches the in-game name.`);
-        targets.push({ name: nm, typeId: id });
-      }
-      if (names.length > 12) setStatus(`Resolved first 12 materials (you entered ${names.length}).`, "warn");
-    }
-
-    // Fetch type data for targets
-    setStatus("Fetching type data…");
-    const typeDatas = new Map();
-    for (const t of targets) {
-      typeDatas.set(t.typeId, await getTypeData(t.typeId));
-    }
-
-    const mined = targets.map((t) => {
-      const td = typeDatas.get(t.typeId);
-      const units = Math.floor(totalM3 / (td.volume || 1));
-      return { ...t, typeData: td, unitsMined: units };
-    });
-
-    // Need prices for ores + all outputs
-    const priceTypeIds = new Set();
-    for (const m of mined) {
-      priceTypeIds.add(m.typeId);
-      for (const mat of Object.values(m.typeData.typeMaterials || {})) priceTypeIds.add(mat.material_type_id);
-    }
-    const idsAll = [...priceTypeIds];
-
-    // Names for output ids (bulk)
-    setStatus("Resolving type names…");
-    const namesMap = await getNamesESI(idsAll);
-
-    // Prices
-    let priceMap = new Map();
-    if (priceSource === "esi" && mined.length > 1) {
-      setStatus("Comparison mode: using Fuzzwork prices (ESI is too heavy for many items).", "warn");
-      priceMap = await getPricesFuzzwork(idsAll);
-    } else if (priceSource === "esi") {
-      setStatus("Fetching prices from ESI (can take a bit)…");
-      priceMap = await getPricesESI(idsAll, {
-        onProgress: (p) => {
-          if (p?.stage === "doneOne") setStatus(`ESI pricing… ${p.done}/${p.total}`);
-        },
-      });
-    } else {
-      setStatus("Fetching prices from Fuzzwork…");
-      priceMap = await getPricesFuzzwork(idsAll);
-    }
-
-    const yieldFrac = Math.max(0, Math.min(1, reprocessYieldPct / 100));
-
-    const rows = mined.map((m) => {
-      const td = m.typeData;
-
-      const oreSell = getPriceSellMin(priceMap, m.typeId);
-      const rawTotal = oreSell !== null ? oreSell * m.unitsMined : null;
-
-      const portion = Math.max(1, Number(td.portionSize || 1));
-      const portions = Math.floor(m.unitsMined / portion);
-
-      let reprocessRows = [];
-      let reprocessTotal = 0;
-
-      for (const mat of Object.values(td.typeMaterials || {})) {
-        const outId = Number(mat.material_type_id);
-        const baseQty = Number(mat.quantity || 0);
-        const qty = Math.floor(portions * baseQty * yieldFrac);
-
-        const sellMin = getPriceSellMin(priceMap, outId);
-        const totalValue = sellMin !== null ? sellMin * qty : null;
-        if (totalValue !== null) reprocessTotal += totalValue;
-
-        reprocessRows.push({
-          typeId: outId,
-          name: namesMap.get(outId) || `Type ${outId}`,
-          qty,
-          sellMin,
-          totalValue,
-        });
-      }
-
-      reprocessRows.sort((a, b) => (b.totalValue ?? 0) - (a.totalValue ?? 0));
-
-      const taxFee = taxPct > 0 ? reprocessTotal * (taxPct / 100) : 0;
-      const reprocessNet = reprocessTotal - taxFee;
-
-      const rawPerHour = usedSeconds > 0 && rawTotal !== null ? rawTotal * (3600 / usedSeconds) : null;
-      const reprocessPerHour = usedSeconds > 0 ? reprocessNet * (3600 / usedSeconds) : null;
-
-      return {
-        typeId: m.typeId,
-        typeData: td,
-        unitsMined: m.unitsMined,
-        oreSell,
-        rawTotal,
-        rawPerHour,
-        reprocessRows,
-        reprocessTotal,
-        taxFee,
-        reprocessNet,
-        reprocessPerHour,
-      };
-    });
-
-    // Default selection = best reprocessed ISK/hr
-    const best = rows.slice().sort((a, b) => (b.reprocessPerHour ?? 0) - (a.reprocessPerHour ?? 0))[0] || rows[0];
+    const { fleet, rows, best, fees } = calc;
+    setPriceHeaders(hub, basis);
 
     renderSummary({
-      input: { durationMinutes, cycleTimeSeconds, reprocessYieldPct },
-      cyclesInfo: { cycles, usedSeconds, leftoverSeconds },
+      input: { durationMinutes, reprocessYieldPct: best.reprocessYieldPct, processingSkill: best.processingSkill },
+      fleet,
       typeData: best.typeData,
       units: best.unitsMined,
       rawValue: best.rawTotal ?? 0,
-      reprocessValue: best.reprocessNet ?? 0,
+      reprocessValue: best.reprocessNet,
+      compressed: best.compressed,
+      compressedValue: best.compressedTotal,
+      fees,
+      basis,
     });
 
-    renderRawSelected(best);
-    renderReprocessTable({ materialsRows: best.reprocessRows, total: best.reprocessNet });
+    renderSelectedRow(calc, best);
 
     if (rows.length === 1) {
-      renderCompare({ rawTotal: best.rawTotal, reprocessTotal: best.reprocessNet, usedSeconds, taxPct });
+      renderCompare({
+        rawTotal: best.rawTotal,
+        reprocessTotal: best.reprocessNet,
+        perHourFactor: fleet.perHourFactor,
+        tax: calc.tax,
+        compressedTotal: best.compressedTotal,
+        compressed: best.compressed,
+        hub,
+        basis,
+        fees,
+        depth: calc.depth,
+      });
     } else {
-      window.__compareState = window.__compareState || { key: "reprocessPerHour", dir: "desc", selectedTypeId: best.typeId };
+      window.__compareState = window.__compareState || { key: "rankValue", dir: "desc", selectedTypeId: best.typeId };
       window.__compareState.selectedTypeId = best.typeId;
-      renderComparison(rows, usedSeconds, taxPct);
+      // Until the user picks a column, follow the ranking (gas rows rank by raw ISK/hr).
+      if (!window.__compareState.userSorted) window.__compareState.key = "rankValue";
+      renderComparison(rows, calc);
     }
 
     updateUrlFromInputs(best.typeId);
-    setStatus("Done.");
+    renderPriceFreshness();
+    // Snapshot what the export reports: later panels reset the freshness and inputs may change.
+    window.__lastResult = {
+      calc,
+      input,
+      priceSource: input.priceSource,
+      computedAt: Date.now(),
+      freshness: { ...window.__priceFreshness },
+      shareUrl: buildShareUrl(),
+      eivSource: window.__adjustedPrices?.source || null,
+    };
+    setExportEnabled(true);
+    setStatus(window.__priceFreshness.stale ? "Done. Offline: using cached prices." : "Done.");
   } catch (err) {
     console.error(err);
     setStatus(err?.message ? String(err.message) : "Something went wrong.", "error");
@@ -867,12 +1835,477 @@ async function onCalculate(e) {
 }
 
 
+// ---------------------------
+// Cargo paste
+// ---------------------------
+// Shared by the cargo paste, moon chunk and ledger tables.
+function betterPath(r) {
+  if (r.rawNet === null) return r.reprocessable ? "Reprocess" : "—";
+  return r.reprocessable && r.reprocessNet > r.rawNet ? "Reprocess" : "Sell as-is";
+}
+
+function outputsLine(reprocessRows) {
+  const outputs = reprocessRows.filter((o) => o.qty > 0).map((o) => `${fmtInt(o.qty)} ${escapeHtml(o.name)}`).join(", ");
+  return outputs ? `<div class="muted small-line">→ ${outputs}</div>` : "";
+}
+
+function skippedList(unknown, noun = "line", plural = `${noun}s`) {
+  if (!unknown.length) return "";
+  const items = unknown.map((u) => `<li>Line ${u.line}: <code>${escapeHtml(u.text)}</code>: ${escapeHtml(u.reason)}</li>`).join("");
+  return `<div class="inventory-unknown"><b>Skipped ${fmtInt(unknown.length)} ${unknown.length === 1 ? noun : plural}:</b><ul>${items}</ul></div>`;
+}
+
+function feesNote(fees, basis) {
+  return fees ? ` Values are net of ${fmtNum(saleFeePct(fees, basis), 2)}% market fees.` : "";
+}
+
+function renderInventory(inv) {
+  const tbody = document.querySelector("#inventoryTable tbody");
+  const priceLabel = `${inv.hub.name} ${inv.basis.short}`;
+  document.getElementById("inventoryPriceHeader").textContent = `${priceLabel} (ISK/unit)`;
+
+  if (inv.rows.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="8" class="muted">No items could be valued.</td></tr>`;
+  } else {
+    tbody.innerHTML = inv.rows.map((r) => `
+        <tr>
+          <td>${escapeHtml(r.name)}${outputsLine(r.reprocessRows)}</td>
+          <td class="num">${fmtInt(r.typeId)}</td>
+          <td class="num">${fmtInt(r.qty)}</td>
+          <td class="num">${fmtNum(r.m3, 2)}</td>
+          <td class="num">${r.unitPrice !== null ? fmtISK(r.unitPrice) : "—"}</td>
+          <td class="num">${r.rawNet !== null ? fmtISK(r.rawNet) : "—"}</td>
+          <td class="num">${r.reprocessable ? fmtISK(r.reprocessNet) : "—"}</td>
+          <td>${betterPath(r)}</td>
+        </tr>
+      `).join("");
+  }
+
+  const t = inv.totals;
+  document.getElementById("inventoryM3Cell").textContent = fmtNum(t.m3, 2);
+  document.getElementById("inventoryRawCell").textContent = fmtISK(t.rawNet);
+  document.getElementById("inventoryReprocessCell").textContent = fmtISK(t.reprocessNet);
+  document.getElementById("inventoryBestCell").textContent = fmtISK(t.bestNet);
+
+  document.getElementById("inventoryNote").innerHTML = `Reprocessed total sells anything that can't be reprocessed as-is; best total picks the better path per item.${feesNote(inv.fees, inv.basis)}${skippedList(inv.unknown)}`;
+}
+
+async function onValuePaste() {
+  const pasteStatus = (msg, kind) => setStatus(msg, kind, "inventoryStatus");
+  try {
+    const { items, unknown } = parseInventoryPaste(document.getElementById("inventoryPaste").value);
+    if (items.length === 0 && unknown.length === 0) return pasteStatus("Paste items from an inventory window or contract first.", "error");
+
+    resetPriceFreshness();
+    const inv = await valueInventory(items, webProvider, readMarketOptions(), { onStatus: (msg, kind) => pasteStatus(escapeHtml(msg), kind) });
+    inv.unknown = [...unknown, ...inv.unknown].sort((a, b) => a.line - b.line);
+
+    renderInventory(inv);
+    renderPriceFreshness();
+    const skipped = inv.unknown.length ? ` ${fmtInt(inv.unknown.length)} line${inv.unknown.length === 1 ? "" : "s"} skipped.` : "";
+    pasteStatus(`Valued ${fmtInt(inv.rows.length)} item${inv.rows.length === 1 ? "" : "s"}.${skipped}`, inv.unknown.length ? "warn" : "ok");
+  } catch (err) {
+    console.error(err);
+    pasteStatus(err?.message ? escapeHtml(String(err.message)) : "Something went wrong.", "error");
+  }
+}
+
+function clearInventory() {
+  document.getElementById("inventoryPaste").value = "";
+  setTableMessage("inventoryTable", 8, "Paste items and click Value paste.");
+  for (const id of ["inventoryM3Cell", "inventoryRawCell", "inventoryReprocessCell", "inventoryBestCell"]) document.getElementById(id).textContent = "—";
+  document.getElementById("inventoryNote").innerHTML = "";
+  setStatus("", "", "inventoryStatus");
+}
+
+// ---------------------------
+// Moon extraction
+// ---------------------------
+function renderMoon(moon) {
+  const { chunk, totals, clear } = moon;
+  const scaled = Math.abs(chunk.pctTotal - 100) > 0.5 ? `Composition adds up to ${fmtNum(chunk.pctTotal, 1)}%; scaled to 100%.` : "";
+
+  document.getElementById("moonSummary").innerHTML = [
+    kpi("Chunk volume", `${fmtInt(chunk.totalM3)} m³`, `${fmtNum(chunk.extractionHours, 2)} h × ${fmtInt(chunk.m3PerHour)} m³/h`),
+    kpi("Raw value", `${fmtISK(totals.rawNet)} ISK`, "Whole chunk sold as ore"),
+    kpi("Reprocessed value", `${fmtISK(totals.reprocessNet)} ISK`, `Best per ore: ${fmtISK(totals.bestNet)} ISK`),
+    kpi(
+      "Time to clear",
+      clear.hours !== null ? `${fmtNum(clear.hours, 1)} fleet-hours` : "—",
+      clear.hours !== null ? `${fmtNum(clear.m3PerHour, 2)} m³/hour • ${fmtNum(clear.shipHours, 1)} ship-hours (${fmtInt(clear.shipCount)} ship${clear.shipCount === 1 ? "" : "s"})` : "Set a yield and cycle time above",
+    ),
+  ].join("");
+
+  const tbody = document.querySelector("#moonTable tbody");
+  tbody.innerHTML = moon.rows.map((r) => `
+      <tr>
+        <td>${escapeHtml(r.name)}${outputsLine(r.reprocessRows)}</td>
+        <td class="num">${fmtNum(r.share * 100, 2)}%</td>
+        <td class="num">${fmtInt(r.chunkM3)}</td>
+        <td class="num">${fmtInt(r.qty)}</td>
+        <td class="num">${r.rawNet !== null ? fmtISK(r.rawNet) : "—"}</td>
+        <td class="num">${r.reprocessable ? fmtISK(r.reprocessNet) : "—"}</td>
+        <td>${betterPath(r)}</td>
+      </tr>
+    `).join("");
+
+  document.getElementById("moonM3Cell").textContent = fmtInt(totals.m3);
+  document.getElementById("moonRawCell").textContent = fmtISK(totals.rawNet);
+  document.getElementById("moonReprocessCell").textContent = fmtISK(totals.reprocessNet);
+
+  const residue = clear.residueM3 > 0 ? ` Residue destroys about ${fmtInt(clear.residueM3)} m³ of the chunk; values assume it is all mined.` : "";
+  document.getElementById("moonNote").innerHTML = `${scaled}${residue}${feesNote(moon.fees, moon.basis)}${skippedList(moon.unknown)}`;
+}
+
+async function onMoonCalculate() {
+  const moonStatus = (msg, kind) => setStatus(msg, kind, "moonStatus");
+  try {
+    const { ores, unknown } = parseMoonComposition(document.getElementById("moonComposition").value);
+    const yieldPerCycle = Number(document.getElementById("yieldPerCycle").value);
+    const cycleTimeSeconds = Number(document.getElementById("cycleTimeSeconds").value);
+
+    resetPriceFreshness();
+    const moon = await calculateMoonChunk({
+      extractionHours: Number(document.getElementById("moonHours").value),
+      chunkM3PerHour: Number(document.getElementById("moonRate").value) || MOON_CHUNK_M3_PER_HOUR,
+      ores,
+      harvesters: yieldPerCycle > 0 && cycleTimeSeconds > 0 ? readHarvesters(yieldPerCycle, cycleTimeSeconds) : [],
+      durationMinutes: Number(document.getElementById("durationMinutes").value),
+      crit: readCritInputs(),
+      hauling: readHaulingInputs(),
+      ...readMarketOptions(),
+    }, webProvider, { onStatus: (msg, kind) => moonStatus(escapeHtml(msg), kind) });
+    moon.unknown = [...unknown, ...moon.unknown].sort((a, b) => a.line - b.line);
+
+    renderMoon(moon);
+    renderPriceFreshness();
+    moonStatus(moon.unknown.length ? `Done. ${fmtInt(moon.unknown.length)} line${moon.unknown.length === 1 ? "" : "s"} skipped.` : "Done.", moon.unknown.length ? "warn" : "ok");
+  } catch (err) {
+    console.error(err);
+    moonStatus(err?.message ? escapeHtml(String(err.message)) : "Something went wrong.", "error");
+  }
+}
+
+// ---------------------------
+// Mining ledger
+// ---------------------------
+// ESI JSON (an array, from a file or pasted) or the in-game ledger copy.
+function parseLedgerText(text) {
+  const trimmed = String(text || "").trim();
+  if (/^[[{]/.test(trimmed)) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error("That looks like JSON but could not be parsed.");
+    }
+    return parseLedgerJson(data);
+  }
+  return parseLedgerPaste(trimmed);
+}
+
+function renderLedger(ledger, throughput) {
+  const tbody = document.querySelector("#ledgerTable tbody");
+  const cell = (v) => (v !== null ? fmtISK(v) : "—");
+
+  if (ledger.days.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="7" class="muted">No ledger entries could be valued.</td></tr>`;
+  } else {
+    tbody.innerHTML = ledger.days.map((d) => d.groups.map((g) => `
+        <tr>
+          <td>${escapeHtml(g.date)}</td>
+          <td>${g.system ? escapeHtml(g.system) : "—"}</td>
+          <td>${escapeHtml(g.name)}</td>
+          <td class="num">${fmtInt(g.qty)}</td>
+          <td class="num">${fmtNum(g.m3, 2)}</td>
+          <td class="num">${cell(g.rawNet)}</td>
+          <td class="num">${g.reprocessable ? cell(g.reprocessNet) : "—"}</td>
+        </tr>
+      `).join("") + `
+        <tr class="day-total">
+          <td colspan="4"><b>${escapeHtml(d.date)} total</b></td>
+          <td class="num"><b>${fmtNum(d.m3, 2)}</b></td>
+          <td class="num"><b>${fmtISK(d.rawNet)}</b></td>
+          <td class="num"><b>${fmtISK(d.reprocessNet)}</b></td>
+        </tr>
+      `).join("");
+  }
+
+  const t = ledger.totals;
+  document.getElementById("ledgerM3Cell").textContent = fmtNum(t.m3, 2);
+  document.getElementById("ledgerRawCell").textContent = fmtISK(t.rawNet);
+  document.getElementById("ledgerReprocessCell").textContent = fmtISK(t.reprocessNet);
+
+  const tpBody = document.querySelector("#ledgerThroughputTable tbody");
+  tpBody.innerHTML = throughput.length === 0
+    ? `<tr><td colspan="7" class="muted">No ledger days.</td></tr>`
+    : throughput.map((r) => {
+      const pct = r.ratio !== null ? `${fmtNum(r.ratio * 100, 1)}%` : "—";
+      const cls = r.ratio !== null && r.ratio < 0.8 ? " unfilled" : "";
+      return `
+        <tr>
+          <td>${escapeHtml(r.date)}</td>
+          <td class="num">${fmtInt(r.pilots)}</td>
+          <td class="num">${fmtNum(r.actualM3, 2)}</td>
+          <td class="num">${fmtNum(r.expectedM3, 2)}</td>
+          <td class="num">${r.actualPerHour !== null ? fmtNum(r.actualPerHour, 2) : "—"}</td>
+          <td class="num">${r.expectedPerHour !== null ? fmtNum(r.expectedPerHour, 2) : "—"}</td>
+          <td class="num${cls}">${pct}</td>
+        </tr>
+      `;
+    }).join("");
+
+  document.getElementById("ledgerNote").innerHTML = `Priced at today's ${escapeHtml(ledger.hub.name)} ${escapeHtml(ledger.basis.short)} prices, not the prices on the day mined.${feesNote(ledger.fees, ledger.basis)}${skippedList(ledger.unknown, "entry", "entries")}`;
+}
+
+async function onValueLedger() {
+  const ledgerStatus = (msg, kind) => setStatus(msg, kind, "ledgerStatus");
+  try {
+    const { entries, unknown } = parseLedgerText(document.getElementById("ledgerPaste").value);
+    if (entries.length === 0 && unknown.length === 0) return ledgerStatus("Paste the in-game Mining Ledger or load an ESI ledger file first.", "error");
+
+    const yieldPerCycle = Number(document.getElementById("yieldPerCycle").value);
+    const cycleTimeSeconds = Number(document.getElementById("cycleTimeSeconds").value);
+    const hoursInput = document.getElementById("ledgerHours").value;
+    const hoursPerDay = hoursInput !== "" ? Number(hoursInput) : Number(document.getElementById("durationMinutes").value) / 60;
+    if (!(hoursPerDay > 0)) throw new Error("Hours mined per day must be > 0.");
+
+    resetPriceFreshness();
+    const ledger = await valueLedger(entries, webProvider, readMarketOptions(), { onStatus: (msg, kind) => ledgerStatus(escapeHtml(msg), kind) });
+    ledger.unknown = [...unknown, ...ledger.unknown].sort((a, b) => a.line - b.line);
+
+    renderLedger(ledger, calcLedgerThroughput(ledger.days, { yieldPerCycle, cycleTimeSeconds, hoursPerDay }));
+    renderPriceFreshness();
+    const skipped = ledger.unknown.length ? ` ${fmtInt(ledger.unknown.length)} skipped.` : "";
+    ledgerStatus(`Valued ${fmtInt(ledger.totals.days)} day${ledger.totals.days === 1 ? "" : "s"} of mining.${skipped}`, ledger.unknown.length ? "warn" : "ok");
+  } catch (err) {
+    console.error(err);
+    ledgerStatus(err?.message ? escapeHtml(String(err.message)) : "Something went wrong.", "error");
+  }
+}
+
+async function onLedgerFile(e) {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  document.getElementById("ledgerPaste").value = await file.text();
+  e.target.value = "";
+  await onValueLedger();
+}
+
+function clearLedger() {
+  document.getElementById("ledgerPaste").value = "";
+  setTableMessage("ledgerTable", 7, "Paste a ledger or load a file, then click Value ledger.");
+  setTableMessage("ledgerThroughputTable", 7, "No ledger yet.");
+  for (const id of ["ledgerM3Cell", "ledgerRawCell", "ledgerReprocessCell"]) document.getElementById(id).textContent = "—";
+  document.getElementById("ledgerNote").innerHTML = "";
+  setStatus("", "", "ledgerStatus");
+}
+
+// ---------------------------
+// Mineral shopping list
+// ---------------------------
+function renderPlan(plan) {
+  const { totals, objective } = plan;
+  const priceLabel = `${plan.hub.name} ${plan.basis.short}`;
+  document.getElementById("plannerPriceHeader").textContent = `${priceLabel} (ISK/unit)`;
+
+  const savings = totals.savings !== null
+    ? `${totals.savings >= 0 ? "Saves" : "Costs"} ${fmtISK(Math.abs(totals.savings))} ISK vs buying the minerals`
+    : "Some minerals have no price";
+  const costKpi = objective === "time"
+    ? kpi("Mining cost", `${fmtISK(totals.cost)} ISK`, "Reprocessing tax on the mined ore")
+    : kpi("Ore cost", totals.cost !== null ? `${fmtISK(totals.cost)} ISK` : "—", `Ore ${fmtISK(totals.oreCost)} + reprocessing tax ${fmtISK(totals.tax)}`);
+  document.getElementById("plannerSummary").innerHTML = [
+    costKpi,
+    kpi("Buy minerals instead", totals.buyMinerals !== null ? `${fmtISK(totals.buyMinerals)} ISK` : "—", savings),
+    kpi("Surplus", `${fmtISK(totals.surplusValue)} ISK`, "Leftover minerals at the same prices"),
+    kpi(
+      "Mining time",
+      totals.miningHours !== null ? `${fmtNum(totals.miningHours, 1)} fleet-hours` : "—",
+      plan.m3PerHour > 0 ? `${fmtInt(totals.m3)} m³ at ${fmtNum(plan.m3PerHour, 2)} m³/hour` : `${fmtInt(totals.m3)} m³ of ore`,
+    ),
+  ].join("");
+
+  document.querySelector("#plannerTable tbody").innerHTML = plan.rows.map((r) => `
+      <tr>
+        <td>${escapeHtml(r.name)}${outputsLine(r.outputs)}</td>
+        <td class="num">${fmtInt(r.portions)}</td>
+        <td class="num">${fmtInt(r.units)}</td>
+        <td class="num">${fmtNum(r.m3, 2)}</td>
+        <td class="num">${r.unitPrice !== null ? fmtISK(r.unitPrice) : "—"}</td>
+        <td class="num">${r.oreCost !== null ? fmtISK(r.oreCost + r.tax) : "—"}</td>
+        <td class="num">${r.miningHours !== null ? `${fmtNum(r.miningHours, 2)} h` : "—"}</td>
+      </tr>
+    `).join("");
+
+  document.querySelector("#plannerMineralTable tbody").innerHTML = plan.minerals.map((m) => `
+      <tr>
+        <td>${escapeHtml(m.name)}</td>
+        <td class="num">${m.target > 0 ? fmtInt(m.target) : "—"}</td>
+        <td class="num">${fmtInt(m.produced)}</td>
+        <td class="num">${fmtInt(m.surplus)}</td>
+        <td class="num">${m.unitPrice !== null ? fmtISK(m.unitPrice) : "—"}</td>
+        <td class="num">${m.target > 0 && m.buyCost !== null ? fmtISK(m.buyCost) : "—"}</td>
+        <td class="num">${m.surplusValue !== null ? fmtISK(m.surplusValue) : "—"}</td>
+      </tr>
+    `).join("");
+
+  const how = objective === "time"
+    ? "Optimised for mining time with your fleet; the Cost column is what the same ore would cost to buy, the savings count only the reprocessing tax."
+    : "Optimised for purchase cost: ore at the price basis plus reprocessing tax.";
+  const tax = plan.tax ? ` Includes a ${taxBasisText(plan.tax, plan.hub, plan.basis)}.` : "";
+  document.getElementById("plannerNote").innerHTML = `${how}${tax}${skippedList(plan.unknown)}`;
+}
+
+async function onPlan() {
+  const plannerStatus = (msg, kind) => setStatus(msg, kind, "plannerStatus");
+  try {
+    const { targets, unknown } = parseMineralTargets(document.getElementById("plannerTargets").value);
+    const yieldPerCycle = Number(document.getElementById("yieldPerCycle").value);
+    const cycleTimeSeconds = Number(document.getElementById("cycleTimeSeconds").value);
+
+    resetPriceFreshness();
+    const plan = await planMineralPurchase({
+      targets,
+      ores: document.getElementById("plannerOres").value,
+      objective: document.getElementById("plannerObjective").value,
+      includeCompressed: document.getElementById("plannerCompressed").value === "1",
+      harvesters: yieldPerCycle > 0 && cycleTimeSeconds > 0 ? readHarvesters(yieldPerCycle, cycleTimeSeconds) : [],
+      durationMinutes: Number(document.getElementById("durationMinutes").value),
+      crit: readCritInputs(),
+      hauling: readHaulingInputs(),
+      ...readMarketOptions(),
+    }, webProvider, { onStatus: (msg, kind) => plannerStatus(escapeHtml(msg), kind) });
+    plan.unknown = [...unknown, ...plan.unknown].sort((a, b) => a.line - b.line);
+
+    renderPlan(plan);
+    renderPriceFreshness();
+    plannerStatus(plan.unknown.length ? `Done. ${fmtInt(plan.unknown.length)} target${plan.unknown.length === 1 ? "" : "s"} skipped.` : "Done.", plan.unknown.length ? "warn" : "ok");
+  } catch (err) {
+    console.error(err);
+    plannerStatus(err?.message ? escapeHtml(String(err.message)) : "Something went wrong.", "error");
+  }
+}
+
+function clearPlan() {
+  document.getElementById("plannerTargets").value = "";
+  document.getElementById("plannerSummary").innerHTML = "";
+  setTableMessage("plannerTable", 7, "Enter mineral targets and click Plan ore mix.");
+  setTableMessage("plannerMineralTable", 7, "No plan yet.");
+  document.getElementById("plannerNote").innerHTML = "";
+  setStatus("", "", "plannerStatus");
+}
+
+// ---------------------------
+// Build goal
+// ---------------------------
+const MATERIAL_SOURCE = { mineral: "Mine (mineral)", ice: "Mine (ice product)", other: "Buy" };
+
+function renderBuild(goal) {
+  const { totals, plan } = goal;
+  document.getElementById("buildPriceHeader").textContent = `${goal.hub.name} ${goal.basis.short} (ISK/unit)`;
+
+  const saves = totals.savings !== null
+    ? `${totals.savings >= 0 ? "Saves" : "Costs"} ${fmtISK(Math.abs(totals.savings))} ISK${totals.iskPerHour !== null ? ` • ${fmtISK(totals.iskPerHour)} ISK/hour` : ""}`
+    : "Some materials have no price";
+  const built = goal.built.length > 1 ? ` + ${fmtInt(goal.built.length - 1)} component${goal.built.length === 2 ? "" : "s"} built` : "";
+  document.getElementById("buildSummary").innerHTML = [
+    kpi("Build", `${fmtInt(goal.product.count)} × ${escapeHtml(goal.product.name)}`, `ME ${fmtInt(goal.me)}${built}`),
+    kpi(
+      "Mining time",
+      plan ? `${fmtNum(totals.miningHours, 1)} fleet-hours` : "—",
+      plan ? `${fmtInt(plan.totals.m3)} m³ at ${fmtNum(plan.m3PerHour, 2)} m³/hour` : "No minerals or ice products to mine",
+    ),
+    kpi("Buy minerals &amp; ice instead", totals.buyMined !== null ? `${fmtISK(totals.buyMined)} ISK` : "—", saves),
+    kpi(
+      "Other materials",
+      totals.otherCost !== null ? `${fmtISK(totals.otherCost)} ISK` : "—",
+      totals.productValue !== null ? `Product sells for ${fmtISK(totals.productValue)} ISK` : "No product price",
+    ),
+  ].join("");
+
+  document.querySelector("#buildMaterialTable tbody").innerHTML = goal.materials.map((m) => `
+      <tr>
+        <td>${escapeHtml(m.name)}</td>
+        <td>${MATERIAL_SOURCE[m.kind]}</td>
+        <td class="num">${fmtInt(m.qty)}</td>
+        <td class="num">${m.unitPrice !== null ? fmtISK(m.unitPrice) : "—"}</td>
+        <td class="num">${m.buyCost !== null ? fmtISK(m.buyCost) : "—"}</td>
+      </tr>
+    `).join("");
+
+  if (plan) {
+    document.querySelector("#buildOreTable tbody").innerHTML = plan.rows.map((r) => `
+      <tr>
+        <td>${escapeHtml(r.name)}${outputsLine(r.outputs)}</td>
+        <td class="num">${fmtInt(r.units)}</td>
+        <td class="num">${fmtNum(r.m3, 2)}</td>
+        <td class="num">${r.miningHours !== null ? `${fmtNum(r.miningHours, 2)} h` : "—"}</td>
+        <td class="num">${fmtISK(r.tax)}</td>
+      </tr>
+    `).join("");
+  } else {
+    setTableMessage("buildOreTable", 5, "Nothing on the bill can be mined.");
+  }
+
+  const surplus = plan && totals.surplusValue > 0 ? ` Leftover minerals are worth ${fmtISK(totals.surplusValue)} ISK.` : "";
+  const tax = goal.tax ? ` Includes a ${taxBasisText(goal.tax, goal.hub, goal.basis)}.` : "";
+  document.getElementById("buildNote").innerHTML = `Ore mix optimised for the least mining time with the fleet above.${surplus}${tax}${skippedList(goal.unknown)}`;
+}
+
+async function onBuildGoal() {
+  const buildStatus = (msg, kind) => setStatus(msg, kind, "buildStatus");
+  try {
+    const goal = parseBuildGoal(document.getElementById("buildProduct").value);
+    if (!goal) throw new Error("Enter a product, e.g. Retriever ×5.");
+    const yieldPerCycle = Number(document.getElementById("yieldPerCycle").value);
+    const cycleTimeSeconds = Number(document.getElementById("cycleTimeSeconds").value);
+
+    resetPriceFreshness();
+    const result = await planBuildGoal({
+      product: goal.name,
+      count: goal.count,
+      me: Number(document.getElementById("buildMe").value) || 0,
+      components: document.getElementById("buildComponents").value === "1",
+      ores: document.getElementById("buildOres").value,
+      harvesters: yieldPerCycle > 0 && cycleTimeSeconds > 0 ? readHarvesters(yieldPerCycle, cycleTimeSeconds) : [],
+      durationMinutes: Number(document.getElementById("durationMinutes").value),
+      crit: readCritInputs(),
+      hauling: readHaulingInputs(),
+      ...readMarketOptions(),
+    }, webProvider, { onStatus: (msg, kind) => buildStatus(escapeHtml(msg), kind) });
+
+    renderBuild(result);
+    renderPriceFreshness();
+    buildStatus(result.unknown.length ? `Done. ${fmtInt(result.unknown.length)} material${result.unknown.length === 1 ? "" : "s"} skipped.` : "Done.", result.unknown.length ? "warn" : "ok");
+  } catch (err) {
+    console.error(err);
+    buildStatus(err?.message ? escapeHtml(String(err.message)) : "Something went wrong.", "error");
+  }
+}
+
+function clearBuild() {
+  document.getElementById("buildProduct").value = "";
+  document.getElementById("buildSummary").innerHTML = "";
+  setTableMessage("buildMaterialTable", 5, "Enter a product and click Plan build.");
+  setTableMessage("buildOreTable", 5, "No plan yet.");
+  document.getElementById("buildNote").innerHTML = "";
+  setStatus("", "", "buildStatus");
+}
+
 function renderEmptyAfterCalc() {
   document.getElementById("summary").innerHTML = `<div class="placeholder">No full cycles to compute.</div>`;
-  setTableMessage("rawTable", 6, "No full cycles to compute.");
-  setTableMessage("reprocessTable", 5, "No full cycles to compute.");
+  setTableMessage("rawTable", 10, "No full cycles to compute.");
+  setTableMessage("reprocessTable", 11, "No full cycles to compute.");
+  setTableMessage("fleetTable", 11, "No full cycles to compute.");
+  document.getElementById("critBox").innerHTML = `<div class="placeholder">No full cycles to compute.</div>`;
+  document.getElementById("haulBox").innerHTML = `<div class="placeholder">No full cycles to compute.</div>`;
+  setTableMessage("haulTable", 8, "No full cycles to compute.");
   document.getElementById("reprocessTotalCell").textContent = "—";
+  document.getElementById("trendNote").innerHTML = "";
   document.getElementById("compareBox").innerHTML = "";
+  window.__lastResult = null;
+  setExportEnabled(false);
 }
 
 function wireEvents() {
@@ -884,6 +2317,45 @@ function wireEvents() {
     setStatus(ok ? `Copied link to clipboard.` : `Could not copy automatically. Here it is: <code>${escapeHtml(url)}</code>`, ok ? "ok" : "");
   });
 
+  document.getElementById("marketHub").addEventListener("change", syncCustomHub);
+
+  document.getElementById("hubCompareBtn").addEventListener("click", async () => {
+    const row = window.__selectedRow;
+    if (!row) return setStatus("Calculate first, then compare hubs.", "error");
+    try {
+      setStatus("Fetching prices at every hub…");
+      const items = [
+        { typeId: row.typeId, name: row.typeData.name },
+        ...(row.compressed ? [{ typeId: row.compressed.typeId, name: row.compressed.typeData.name }] : []),
+        ...row.reprocessRows.map((r) => ({ typeId: r.typeId, name: r.name })),
+      ];
+      renderHubComparison(items, await webProvider.getPricesAllHubs(items.map((x) => x.typeId)), getSelectedBasis());
+      setStatus("Done.");
+    } catch (err) {
+      console.error(err);
+      setStatus(err?.message ? String(err.message) : "Something went wrong.", "error");
+    }
+  });
+
+  document.getElementById("valuePasteBtn").addEventListener("click", onValuePaste);
+  document.getElementById("clearPasteBtn").addEventListener("click", clearInventory);
+  document.getElementById("moonBtn").addEventListener("click", onMoonCalculate);
+  document.getElementById("valueLedgerBtn").addEventListener("click", onValueLedger);
+  document.getElementById("clearLedgerBtn").addEventListener("click", clearLedger);
+  document.getElementById("ledgerFile").addEventListener("change", onLedgerFile);
+  document.getElementById("planBtn").addEventListener("click", onPlan);
+  document.getElementById("clearPlanBtn").addEventListener("click", clearPlan);
+  document.getElementById("buildBtn").addEventListener("click", onBuildGoal);
+  document.getElementById("clearBuildBtn").addEventListener("click", clearBuild);
+
+  document.getElementById("exportCsvBtn").addEventListener("click", () => onExport("csv"));
+  document.getElementById("exportJsonBtn").addEventListener("click", () => onExport("json"));
+  document.getElementById("copyTsvBtn").addEventListener("click", () => onExport("tsv"));
+
+  document.getElementById("addHarvesterBtn").addEventListener("click", () => {
+    addFleetRow().querySelector(".fleet-name").focus();
+  });
+
   document.getElementById("resetBtn").addEventListener("click", () => {
     resetUi();
     history.replaceState(null, "", location.pathname);
@@ -891,70 +2363,356 @@ function wireEvents() {
 
   // Auto-save URL params on calculate? Keep explicit for now.
 
+}
+
+// ---------------------------
+// Advanced refining & profiles
+// ---------------------------
+// A profile is everything in the advanced panel:
+//   { name, facility, basePct, rigPts, securityPct, reprocessing, efficiency, processing,
+//     skills: { simple: 5, ice: 4, … }, implantPct, taxPct }
+// Profiles are kept in localStorage; the one in use is applied again on load and on reset.
+const PROFILES_KEY = "eveharvest.profiles";
+const ACTIVE_PROFILE_KEY = "eveharvest.activeProfile";
+const FACILITY_PRESETS = { npc50: 50, athanor51: 51, tatara52: 52 };
+
+const skillLevel = (v) => Math.max(0, Math.min(5, Math.floor(Number(v) || 0)));
+const nonNegative = (v, fallback = 0) => {
+  const n = Number(v);
+  return v !== "" && v !== null && Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+// Stored or imported JSON -> a complete profile (unknown fields dropped, levels clamped).
+function normalizeProfile(raw) {
+  const facility = Object.hasOwn(FACILITY_PRESETS, raw?.facility) ? raw.facility : "custom";
+  const skills = {};
+  for (const s of PROCESSING_SKILLS) {
+    const v = raw?.skills?.[s.id];
+    if (v !== undefined && v !== null && v !== "") skills[s.id] = skillLevel(v);
+  }
+  return {
+    name: String(raw?.name ?? "").trim().slice(0, 80),
+    facility,
+    basePct: Math.min(100, nonNegative(raw?.basePct, FACILITY_PRESETS[facility] ?? 50)),
+    rigPts: nonNegative(raw?.rigPts),
+    securityPct: nonNegative(raw?.securityPct),
+    reprocessing: skillLevel(raw?.reprocessing),
+    efficiency: skillLevel(raw?.efficiency),
+    processing: skillLevel(raw?.processing),
+    skills,
+    implantPct: nonNegative(raw?.implantPct),
+    taxPct: nonNegative(raw?.taxPct),
+  };
+}
 
-// Advanced refining math: compute effective yield (%)
-const presetEl = document.getElementById("facilityPreset");
-const baseEl = document.getElementById("facilityBasePct");
-const rigEl = document.getElementById("rigBonusPts");
-const secEl = document.getElementById("securityModPct");
-const rEl = document.getElementById("skillR");
-const reEl = document.getElementById("skillRE");
-const opEl = document.getElementById("skillOP");
-const impEl = document.getElementById("implantPct");
-const taxEl = document.getElementById("taxPct");
-const applyBtn = document.getElementById("applyAdvancedBtn");
-
-function applyPreset() {
-  if (!presetEl || !baseEl) return;
-  const v = presetEl.value;
-  if (v === "npc50") baseEl.value = "50";
-  if (v === "athanor51") baseEl.value = "51";
-  if (v === "tatara52") baseEl.value = "52";
-}
-if (presetEl) presetEl.addEventListener("change", applyPreset);
-applyPreset();
-
-if (applyBtn) {
-  applyBtn.addEventListener("click", () => {
-    const basePct = Number(baseEl?.value ?? 50);
-    const rigPts = Number(rigEl?.value ?? 0);
-    const secPct = Number(secEl?.value ?? 0);
-
-    const R = Math.max(0, Math.min(5, Math.floor(Number(rEl?.value ?? 0))));
-    const RE = Math.max(0, Math.min(5, Math.floor(Number(reEl?.value ?? 0))));
-    const OP = Math.max(0, Math.min(5, Math.floor(Number(opEl?.value ?? 0))));
-    const implantPct = Math.max(0, Number(impEl?.value ?? 0));
-    const taxPct = Math.max(0, Number(taxEl?.value ?? 0));
-
-    // Base yield: start from facility base, add rig bonus (percentage points),
-    // and apply the security modifier ONLY if a rig is installed.
-    let by = (basePct + rigPts) / 100;
-    if (rigPts > 0 && secPct > 0) by *= (1 + (secPct / 100));
-
-    // Character yield multipliers (exact EVE formula)
-    let eff = by
-      * (1 + (0.03 * R))
-      * (1 + (0.02 * RE))
-      * (1 + (0.02 * OP))
-      * (1 + (implantPct / 100));
-
-    // Clamp to [0, 1]
-    eff = Math.max(0, Math.min(1, eff));
-
-    document.getElementById("reprocessYieldPct").value = fmtNum(eff * 100, 2);
-    window.__reprocessTaxPct = taxPct;
-
-    setStatus(`Applied advanced yield: <b>${fmtNum(eff * 100, 2)}%</b>${taxPct > 0 ? ` (tax ${fmtNum(taxPct,1)}%)` : ""}.`);
+function readAdvancedInputs() {
+  const val = (id) => document.getElementById(id).value;
+  const skills = {};
+  for (const el of document.querySelectorAll("#processingSkills input")) skills[el.dataset.skill] = el.value.trim();
+  return normalizeProfile({
+    name: val("profileName"),
+    facility: val("facilityPreset"),
+    basePct: val("facilityBasePct"),
+    rigPts: val("rigBonusPts"),
+    securityPct: val("securityModPct"),
+    reprocessing: val("skillR"),
+    efficiency: val("skillRE"),
+    processing: val("skillOP"),
+    skills,
+    implantPct: val("implantPct"),
+    taxPct: val("taxPct"),
   });
 }
 
+function writeAdvancedInputs(p) {
+  const set = (id, v) => { document.getElementById(id).value = String(v); };
+  set("profileName", p.name);
+  set("facilityPreset", p.facility);
+  set("facilityBasePct", p.basePct);
+  set("rigBonusPts", p.rigPts);
+  set("securityModPct", p.securityPct);
+  set("skillR", p.reprocessing);
+  set("skillRE", p.efficiency);
+  set("skillOP", p.processing);
+  set("implantPct", p.implantPct);
+  set("taxPct", p.taxPct);
+  for (const el of document.querySelectorAll("#processingSkills input")) {
+    el.value = p.skills[el.dataset.skill] !== undefined ? String(p.skills[el.dataset.skill]) : "";
+  }
+}
+
+// The yield box shows the default-level yield; comparison rows use their own family's skill.
+function applyAdvancedYield(p) {
+  const eff = calcReprocessYield(p);
+  document.getElementById("reprocessYieldPct").value = fmtNum(eff, 2);
+  window.__reprocessTaxPct = p.taxPct;
+  window.__yieldProfile = p;
+  return eff;
+}
+
+function appliedMessage(p, eff) {
+  const families = Object.keys(p.skills).length;
+  return `<b>${fmtNum(eff, 2)}%</b>${families ? ` (default level; ${families} family skill${families === 1 ? "" : "s"} set)` : ""}${p.taxPct > 0 ? ` (tax ${fmtNum(p.taxPct, 1)}%)` : ""}`;
+}
+
+function loadProfiles() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PROFILES_KEY) || "[]");
+    return Array.isArray(list) ? list.map(normalizeProfile).filter((p) => p.name) : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeProfiles(list, activeName) {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(list));
+    if (activeName) localStorage.setItem(ACTIVE_PROFILE_KEY, activeName);
+    else localStorage.removeItem(ACTIVE_PROFILE_KEY);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function activeProfileName() {
+  try {
+    return localStorage.getItem(ACTIVE_PROFILE_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+function renderProfileSelect(selected = activeProfileName()) {
+  const list = loadProfiles();
+  const el = document.getElementById("profileSelect");
+  el.innerHTML = `<option value="">No profile</option>` + list
+    .map((p) => `<option value="${escapeHtml(p.name)}"${p.name === selected ? " selected" : ""}>${escapeHtml(p.name)}</option>`)
+    .join("");
+  document.getElementById("profileDeleteBtn").disabled = !list.some((p) => p.name === selected);
+}
+
+// Fill the panel from the active profile and apply it; false when there isn't one.
+function restoreActiveProfile() {
+  const p = loadProfiles().find((x) => x.name === activeProfileName());
+  renderProfileSelect(p ? p.name : "");
+  if (!p) return false;
+  writeAdvancedInputs(p);
+  applyAdvancedYield(p);
+  return true;
+}
+
+function onProfileSelect() {
+  const name = document.getElementById("profileSelect").value;
+  const list = loadProfiles();
+  const p = list.find((x) => x.name === name);
+  storeProfiles(list, p ? p.name : "");
+  renderProfileSelect(p ? p.name : "");
+  if (!p) return setStatus("No profile selected: the advanced panel keeps its current values.");
+  writeAdvancedInputs(p);
+  setStatus(`Profile <b>${escapeHtml(p.name)}</b> applied: ${appliedMessage(p, applyAdvancedYield(p))}.`);
+}
+
+function onProfileSave() {
+  const p = readAdvancedInputs();
+  if (!p.name) return setStatus("Give the profile a name first.", "error");
+  const list = loadProfiles();
+  const i = list.findIndex((x) => x.name === p.name);
+  if (i >= 0) list[i] = p;
+  else list.push(p);
+  if (!storeProfiles(list, p.name)) return setStatus("Couldn't save: this browser is blocking local storage.", "error");
+  renderProfileSelect(p.name);
+  setStatus(`${i >= 0 ? "Updated" : "Saved"} profile <b>${escapeHtml(p.name)}</b>: ${appliedMessage(p, applyAdvancedYield(p))}.`, "ok");
+}
+
+function onProfileDelete() {
+  const name = document.getElementById("profileSelect").value;
+  if (!name) return;
+  storeProfiles(loadProfiles().filter((x) => x.name !== name), "");
+  renderProfileSelect("");
+  setStatus(`Deleted profile <b>${escapeHtml(name)}</b>.`);
+}
+
+function onProfileExport() {
+  const profiles = loadProfiles();
+  if (profiles.length === 0) return setStatus("No saved profiles to export.", "error");
+  const json = JSON.stringify({ kind: "eve-harvest-profiles", version: 1, profiles }, null, 2);
+  downloadText("eve-harvest-profiles.json", json, "application/json");
+  setStatus(`Exported ${fmtInt(profiles.length)} profile${profiles.length === 1 ? "" : "s"}.`, "ok");
+}
+
+// Takes an export file, a bare array of profiles or a single profile. Same name = replaced.
+async function onProfileImport(e) {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (!file) return;
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    return setStatus(`${escapeHtml(file.name)} isn't valid JSON.`, "error");
+  }
+  const entries = Array.isArray(data) ? data : Array.isArray(data?.profiles) ? data.profiles : [data];
+  const incoming = entries.map(normalizeProfile).filter((p) => p.name);
+  if (incoming.length === 0) return setStatus(`No named profiles found in ${escapeHtml(file.name)}.`, "error");
+
+  const list = loadProfiles();
+  let replaced = 0;
+  for (const p of incoming) {
+    const i = list.findIndex((x) => x.name === p.name);
+    if (i >= 0) {
+      list[i] = p;
+      replaced++;
+    } else {
+      list.push(p);
+    }
+  }
+  if (!storeProfiles(list, activeProfileName())) return setStatus("Couldn't save: this browser is blocking local storage.", "error");
+  renderProfileSelect();
+  setStatus(`Imported ${fmtInt(incoming.length)} profile${incoming.length === 1 ? "" : "s"}${replaced ? ` (${fmtInt(replaced)} replaced)` : ""}. Pick one from the list to apply it.`, "ok");
+}
+
+// Skills and implants from character export files fill the panel and are applied (not saved to a profile).
+async function onCharacterImport(e) {
+  const files = [...(e.target.files || [])];
+  e.target.value = "";
+  if (files.length === 0) return;
+
+  const parsed = [];
+  const errors = [];
+  for (const file of files) {
+    try {
+      parsed.push(parseCharacterExport(await file.text()));
+    } catch (err) {
+      errors.push(`${escapeHtml(file.name)}: ${escapeHtml(err?.message || String(err))}`);
+    }
+  }
+  if (parsed.length === 0) return setStatus(`Nothing imported. ${errors.join(" ")}`, "error");
+
+  // ESI implant files only have type IDs; look up names for the ones we don't know.
+  const ids = parsed.flatMap((x) => x.implantIds);
+  let names = new Map();
+  if (ids.length) {
+    try {
+      names = await webProvider.getNames(ids);
+    } catch {
+      // Offline: only the known Beancounter IDs are recognised.
+    }
+  }
+  const settings = characterYieldSettings(parsed.map((x) => withImplantNames(x, names)));
+
+  const set = (id, v) => { if (v !== undefined) document.getElementById(id).value = String(v); };
+  set("skillR", settings.reprocessing);
+  set("skillRE", settings.efficiency);
+  set("implantPct", settings.implantPct);
+  for (const el of document.querySelectorAll("#processingSkills input")) {
+    const level = settings.skills?.[el.dataset.skill];
+    if (level !== undefined) el.value = String(level);
+  }
+
+  const found = settings.found.map((x) => `${escapeHtml(x.name)} ${x.level}`).join(", ");
+  const implant = settings.implantPct === undefined ? "" : settings.implant ? `${escapeHtml(settings.implant.name)} (+${fmtNum(settings.implant.pct, 0)}%)` : "none";
+  document.getElementById("characterImportResult").innerHTML = [
+    `<p>From ${escapeHtml(parsed.map((x) => x.format).join(", "))}.</p>`,
+    found ? `<p><b>Found:</b> ${found}</p>` : "",
+    settings.missing.length ? `<p><b>Not trained (set to 0):</b> ${settings.missing.map(escapeHtml).join(", ")}</p>` : "",
+    implant ? `<p><b>Reprocessing implant:</b> ${implant}</p>` : "",
+    errors.length ? `<p class="import-errors">${errors.join("<br>")}</p>` : "",
+  ].join("");
+
+  const p = readAdvancedInputs();
+  setStatus(`Imported ${fmtInt(settings.found.length)} skill${settings.found.length === 1 ? "" : "s"}${implant ? " and implants" : ""}: ${appliedMessage(p, applyAdvancedYield(p))}. Save a profile to keep them.`, errors.length ? "" : "ok");
+}
+
+// A saved ESI /markets/prices/ response, used for the reprocessing tax instead of the live one until cleared.
+async function onEivFile(e) {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (!file) return;
+  let prices;
+  try {
+    prices = parseAdjustedPrices(JSON.parse(await file.text()));
+  } catch (err) {
+    return setStatus(`${escapeHtml(file.name)}: ${err instanceof SyntaxError ? "isn't valid JSON." : escapeHtml(err.message)}`, "error");
+  }
+  if (prices.size === 0) return setStatus(`No adjusted prices in ${escapeHtml(file.name)}.`, "error");
+  window.__adjustedPrices = { prices, source: file.name };
+  renderEivSource();
+  setStatus(`Reprocessing tax now uses estimated item values from <b>${escapeHtml(file.name)}</b> (${fmtInt(prices.size)} types).`, "ok");
+}
+
+function renderEivSource() {
+  const loaded = window.__adjustedPrices;
+  document.getElementById("eivSource").innerHTML = loaded
+    ? `Using <b>${escapeHtml(loaded.source)}</b> (${fmtInt(loaded.prices.size)} types).`
+    : "Blank = ESI adjusted prices, fetched when there is a tax. Load a saved <code>/markets/prices/</code> response to use it instead.";
+  document.getElementById("eivClearBtn").hidden = !loaded;
+}
+
+function wireAdvanced() {
+  document.getElementById("facilityPreset").addEventListener("change", () => {
+    const v = document.getElementById("facilityPreset").value;
+    if (Object.hasOwn(FACILITY_PRESETS, v)) document.getElementById("facilityBasePct").value = String(FACILITY_PRESETS[v]);
+  });
+
+  document.getElementById("applyAdvancedBtn").addEventListener("click", () => {
+    const p = readAdvancedInputs();
+    setStatus(`Applied advanced yield: ${appliedMessage(p, applyAdvancedYield(p))}.`);
+  });
+
+  // Typing a yield by hand switches back to one flat yield for every material.
+  document.getElementById("reprocessYieldPct").addEventListener("input", () => {
+    window.__yieldProfile = null;
+  });
+
+  document.getElementById("profileSelect").addEventListener("change", onProfileSelect);
+  document.getElementById("profileSaveBtn").addEventListener("click", onProfileSave);
+  document.getElementById("profileDeleteBtn").addEventListener("click", onProfileDelete);
+  document.getElementById("profileExportBtn").addEventListener("click", onProfileExport);
+  document.getElementById("profileImportBtn").addEventListener("click", () => document.getElementById("profileFile").click());
+  document.getElementById("profileFile").addEventListener("change", onProfileImport);
+  document.getElementById("eivFile").addEventListener("change", onEivFile);
+  document.getElementById("eivClearBtn").addEventListener("click", () => {
+    window.__adjustedPrices = null;
+    renderEivSource();
+    setStatus("Reprocessing tax uses ESI adjusted prices again.");
+  });
+  document.getElementById("characterImportBtn").addEventListener("click", () => document.getElementById("characterFile").click());
+  document.getElementById("characterFile").addEventListener("change", onCharacterImport);
+}
+
+// One level box per processing skill (blank = the default Ore/Ice Processing level).
+function populateProcessingSkills() {
+  document.getElementById("processingSkills").innerHTML = PROCESSING_SKILLS.map((s) => `
+    <label>
+      ${escapeHtml(s.name.replace(/ Processing$/, ""))}
+      <input type="number" min="0" max="5" step="1" placeholder="default" data-skill="${s.id}" />
+    </label>
+  `).join("");
 }
 
 function boot() {
-  populateSuggestions();
+  wireAutocomplete();
+  populateProcessingSkills();
+  populateHubs();
+  populateBases();
+  populateFittingBuilder();
   wireEvents();
+  wireAdvanced();
+  wireFittingBuilder();
   resetUi();
 
+  // ESI / reference data base overrides (e.g. a local mock); updateUrlFromInputs keeps them in the URL.
+  const esi = new URLSearchParams(location.search).get("esi");
+  if (esi && /^https?:\/\//i.test(esi)) window.__esiBase = esi.replace(/\/+$/, "");
+  const ref = new URLSearchParams(location.search).get("ref");
+  if (ref && /^https?:\/\//i.test(ref)) window.__refBase = ref.replace(/\/+$/, "");
+
+  // Offline support: cache the app shell (not available from file://)
+  if ("serviceWorker" in navigator && location.protocol.startsWith("http")) {
+    navigator.serviceWorker.register("./sw.js").catch((err) => console.warn("Service worker registration failed", err));
+  }
+
   // Apply URL params if present
   const state = getStateFromUrl();
   applyStateToInputs(state);
@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+// eve-harvest: the calculator's engine from the command line.
+//   eve-harvest --ore Veldspar --yield 1000 --cycle 92.2 --minutes 60 --format table
+//   eve-harvest --build "Retriever x5" --me 10 --yield 1000 --cycle 92.2
+// Live data by default; --fixtures <file.json> (repeatable) uses saved responses instead.
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import {
+  MARKET_HUBS,
+  DEFAULT_HUB,
+  PRICE_BASES,
+  calcMarketFees,
+  calculateHarvest,
+  parseBuildGoal,
+  planBuildGoal,
+  parseAdjustedPrices,
+  createHttpProvider,
+  createFixtureProvider,
+  REF_BASE,
+} from "../engine.js";
+
+const USAGE = `Usage: eve-harvest --ore <names> --yield <m3> --cycle <s> --minutes <n> [options]
+       eve-harvest --build <product> --yield <m3> --cycle <s> [--me <0-10>] [options]
+
+Material
+  --ore <names>            Comma-separated ore/ice/gas names (with --build: the ores to mine, default all)
+  --type <id>              A single type ID instead of --ore
+
+Build goal
+  --build <product>        Product and count, e.g. "Retriever x5": mining hours for its minerals and ice products
+  --me <0-10>              Blueprint material efficiency (default 0)
+  --no-components          Buy components instead of building them from their blueprints
+
+Harvesting
+  --yield <m3>             Yield per cycle (main ship)
+  --cycle <s>              Cycle time in seconds
+  --minutes <n>            Session length (default 60 with --build)
+  --fleet <row>            Extra harvester "name~yield~cycle~count~hold" (repeatable)
+  --hold <m3>              Main ship ore hold (limits cycles between unloads)
+  --trip <s>               Unload round trip in seconds
+  --hauled                 A hauler services the fleet
+  --crit <c~b~rc~rm>       Crit chance %, crit bonus %, residue chance %, residue multiplier
+  --runs <n>, --seed <n>   Crit/residue simulation runs and seed
+
+Valuation
+  --reprocess <pct>        Reprocessing yield (default 100)
+  --reprocess-tax <pct>    Reprocessing facility tax (charged on estimated item value)
+  --adjusted-prices <file> Saved ESI /markets/prices/ response for the tax (default: fetched from ESI)
+  --hub <id>               ${MARKET_HUBS.map((h) => h.id).join(", ")} or station:region (default ${DEFAULT_HUB.id})
+  --basis <id>             ${PRICE_BASES.map((b) => b.id).join(", ")} (default sell)
+  --source <src>           fuzzwork or esi (default fuzzwork)
+  --depth                  Walk the ESI order book
+  --history                Fetch ESI price history (trends)
+  --accounting <0-5>, --broker-relations <0-5>, --faction-standing <n>, --corp-standing <n>
+  --structure-fee <pct>    Broker fee at a player structure
+  --no-fees                Report gross values (no sales tax / broker fee)
+
+Data & output
+  --fixtures <file>        JSON fixture file (types, names, prices, orders, history, adjustedPrices, blueprints); repeatable
+  --esi <url>              ESI base URL (e.g. a local mock)
+  --ref <url>              Reference data base URL (types and blueprints; default ${REF_BASE})
+  --format <fmt>           json, csv or table (default table)
+  --help`;
+
+const OPTIONS = {
+  ore: { type: "string" },
+  type: { type: "string" },
+  build: { type: "string" },
+  me: { type: "string" },
+  "no-components": { type: "boolean" },
+  yield: { type: "string" },
+  cycle: { type: "string" },
+  minutes: { type: "string" },
+  fleet: { type: "string", multiple: true },
+  hold: { type: "string" },
+  trip: { type: "string" },
+  hauled: { type: "boolean" },
+  crit: { type: "string" },
+  runs: { type: "string" },
+  seed: { type: "string" },
+  reprocess: { type: "string" },
+  "reprocess-tax": { type: "string" },
+  "adjusted-prices": { type: "string" },
+  hub: { type: "string" },
+  basis: { type: "string" },
+  source: { type: "string" },
+  depth: { type: "boolean" },
+  history: { type: "boolean" },
+  accounting: { type: "string" },
+  "broker-relations": { type: "string" },
+  "faction-standing": { type: "string" },
+  "corp-standing": { type: "string" },
+  "structure-fee": { type: "string" },
+  "no-fees": { type: "boolean" },
+  fixtures: { type: "string", multiple: true },
+  esi: { type: "string" },
+  ref: { type: "string" },
+  format: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+class UsageError extends Error {}
+
+function num(value, name, fallback = null) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new UsageError(`--${name} must be a number.`);
+  return n;
+}
+
+// Same forms as the ?hub= URL param: a hub id or "station:region".
+function parseHub(str) {
+  if (!str) return DEFAULT_HUB;
+  const hub = MARKET_HUBS.find((h) => h.id === str);
+  if (hub) return hub;
+  const [stationId, regionId] = str.split(":").map(Number);
+  if (!(stationId > 0) || !(regionId > 0)) throw new UsageError(`Unknown hub "${str}".`);
+  return { id: "custom", name: `Station ${stationId}`, stationId, regionId };
+}
+
+function parseFleetRow(str) {
+  const [name, y, c, count, hold] = str.split("~");
+  return {
+    name: name || "Harvester",
+    yieldPerCycle: Number(y),
+    cycleTimeSeconds: Number(c),
+    count: Math.floor(Number(count) || 1),
+    holdM3: Number(hold) || 0,
+  };
+}
+
+// Several fixture files merge key by key (later files win).
+function loadFixtures(files) {
+  const out = { types: {}, names: {}, prices: null, orders: {}, history: {}, adjustedPrices: null, blueprints: {} };
+  for (const file of files) {
+    const data = JSON.parse(readFileSync(file, "utf8"));
+    for (const key of ["types", "names", "orders", "history", "blueprints"]) Object.assign(out[key], data[key] || {});
+    if (data.prices) out.prices = { ...(out.prices || {}), ...data.prices };
+    if (Array.isArray(data.adjustedPrices)) out.adjustedPrices = [...(out.adjustedPrices || []), ...data.adjustedPrices];
+  }
+  return out;
+}
+
+function buildInput(v) {
+  if (!v.ore && !v.type && !v.build) throw new UsageError("Pass --ore, --type or --build.");
+  const yieldPerCycle = num(v.yield, "yield");
+  const cycleTimeSeconds = num(v.cycle, "cycle");
+  const durationMinutes = num(v.minutes, "minutes", v.build ? 60 : null);
+  if (yieldPerCycle === null || cycleTimeSeconds === null || durationMinutes === null) {
+    throw new UsageError(v.build ? "--yield and --cycle are required." : "--yield, --cycle and --minutes are required.");
+  }
+
+  const basis = PRICE_BASES.find((b) => b.id === (v.basis || "sell"));
+  if (!basis) throw new UsageError(`Unknown basis "${v.basis}".`);
+  const source = v.source || "fuzzwork";
+  if (!["fuzzwork", "esi"].includes(source)) throw new UsageError(`Unknown source "${source}".`);
+
+  const [critChancePct, critBonusPct, residueChancePct, residueMult] = (v.crit || "").split("~").map((x) => Number(x) || 0);
+
+  const harvesters = [
+    { name: "Main ship", yieldPerCycle, cycleTimeSeconds, count: 1, holdM3: num(v.hold, "hold", 0) },
+    ...(v.fleet || []).map(parseFleetRow),
+  ];
+  for (const h of harvesters) {
+    if (!(h.yieldPerCycle > 0) || !(h.cycleTimeSeconds > 0) || !(h.count >= 1)) throw new UsageError(`Bad harvester "${h.name}".`);
+  }
+
+  return {
+    yieldPerCycle,
+    cycleTimeSeconds,
+    durationMinutes,
+    harvesters,
+    materialName: v.ore || "",
+    materialTypeId: v.type ? num(v.type, "type") : null,
+    reprocessYieldPct: num(v.reprocess, "reprocess", 100),
+    reprocessTaxPct: num(v["reprocess-tax"], "reprocess-tax", 0),
+    adjustedPrices: v["adjusted-prices"] ? parseAdjustedPrices(JSON.parse(readFileSync(v["adjusted-prices"], "utf8"))) : null,
+    hub: parseHub(v.hub),
+    basis,
+    priceSource: source,
+    depth: Boolean(v.depth),
+    history: Boolean(v.history),
+    crit: { critChancePct, critBonusPct, residueChancePct, residueMult },
+    sim: { runs: num(v.runs, "runs", 1000), seed: num(v.seed, "seed", 1) },
+    hauling: { tripSeconds: num(v.trip, "trip", 0), hauled: Boolean(v.hauled) },
+    fees: v["no-fees"] ? null : calcMarketFees({
+      accounting: num(v.accounting, "accounting", 5),
+      brokerRelations: num(v["broker-relations"], "broker-relations", 5),
+      factionStanding: num(v["faction-standing"], "faction-standing", 0),
+      corpStanding: num(v["corp-standing"], "corp-standing", 0),
+      structureBrokerPct: num(v["structure-fee"], "structure-fee", null),
+    }),
+  };
+}
+
+// Plain rows for every format: one line per material.
+function summarize(calc) {
+  return calc.rows.map((r) => ({
+    material: r.typeData.name,
+    typeId: r.typeId,
+    units: r.unitsMined,
+    m3: r.unitsMined * (r.typeData.volume || 0),
+    unitPrice: r.orePrice,
+    rawIsk: r.rawTotal,
+    compressedIsk: r.compressedTotal,
+    reprocessedIsk: r.reprocessNet,
+    rawIskPerHour: r.rawPerHour,
+    compressedIskPerHour: r.compressedPerHour,
+    reprocessedIskPerHour: r.reprocessPerHour,
+    unfilledUnits: r.rawDepth ? r.rawDepth.unfilled : null,
+    outputs: r.reprocessRows.map((o) => ({ typeId: o.typeId, name: o.name, qty: o.qty, unitPrice: o.unitPrice, isk: o.totalValue, tax: o.taxFee, netIsk: o.netValue })),
+  }));
+}
+
+const COLUMNS = [
+  ["material", "Material"],
+  ["units", "Units"],
+  ["unitPrice", "ISK/unit"],
+  ["rawIsk", "Raw ISK"],
+  ["compressedIsk", "Compr ISK"],
+  ["reprocessedIsk", "Repro ISK"],
+  ["rawIskPerHour", "Raw ISK/h"],
+  ["compressedIskPerHour", "Compr ISK/h"],
+  ["reprocessedIskPerHour", "Repro ISK/h"],
+];
+
+const round2 = (n) => (typeof n === "number" ? Math.round(n * 100) / 100 : n);
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(typeof v === "number" ? round2(v) : v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function formatCsv(rows) {
+  const keys = ["material", "typeId", "units", "m3", ...COLUMNS.slice(2).map(([k]) => k), "unfilledUnits"];
+  return [keys.join(","), ...rows.map((r) => keys.map((k) => csvCell(r[k])).join(","))].join("\n");
+}
+
+function formatTable(rows, calc) {
+  const nf = new Intl.NumberFormat("en-US", { maximumFractionDigits: 2 });
+  const cell = (v) => (v === null || v === undefined ? "—" : typeof v === "number" ? nf.format(v) : String(v));
+  const grid = [COLUMNS.map(([, label]) => label), ...rows.map((r) => COLUMNS.map(([k]) => cell(r[k])))];
+  const widths = COLUMNS.map((_, i) => Math.max(...grid.map((line) => line[i].length)));
+  const lines = grid.map((line) => line.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  "));
+  lines.splice(1, 0, widths.map((w) => "-".repeat(w)).join("  "));
+
+  const f = calc.fleet;
+  const head = `${calc.hub.name} ${calc.basis.short} • ${nf.format(f.totalM3)} m³ mined • ${nf.format(f.m3PerHour)} m³/hour • ${f.shipCount} ship(s)`;
+  return [head, "", ...lines].join("\n");
+}
+
+// Build goal: one line per raw material, then the ore to mine for the minerals and ice products.
+const BUILD_COLUMNS = [
+  ["material", "Material"],
+  ["kind", "Kind"],
+  ["qty", "Quantity"],
+  ["unitPrice", "ISK/unit"],
+  ["buyIsk", "Buy ISK"],
+];
+
+function summarizeBuild(goal) {
+  return goal.materials.map((m) => ({ material: m.name, typeId: m.typeId, kind: m.kind, qty: m.qty, unitPrice: m.unitPrice, buyIsk: m.buyCost }));
+}
+
+function formatBuildTable(rows, goal) {
+  const nf = new Intl.NumberFormat("en-US", { maximumFractionDigits: 2 });
+  const cell = (v) => (v === null || v === undefined ? "—" : typeof v === "number" ? nf.format(v) : String(v));
+  const grid = [BUILD_COLUMNS.map(([, label]) => label), ...rows.map((r) => BUILD_COLUMNS.map(([k]) => cell(r[k])))];
+  const widths = BUILD_COLUMNS.map((_, i) => Math.max(...grid.map((line) => line[i].length)));
+  const lines = grid.map((line) => line.map((c, i) => (i < 2 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  "));
+  lines.splice(1, 0, widths.map((w) => "-".repeat(w)).join("  "));
+
+  const t = goal.totals;
+  const head = `${goal.product.count} × ${goal.product.name} (ME ${goal.me}) • ${goal.hub.name} ${goal.basis.short}`;
+  const mine = goal.plan
+    ? [
+      `Mining: ${nf.format(t.miningHours)} fleet-hours at ${nf.format(goal.plan.m3PerHour)} m³/hour, reprocessing tax ${cell(t.tax)} ISK`,
+      ...goal.plan.rows.map((r) => `  ${r.name}: ${nf.format(r.units)} units, ${nf.format(r.miningHours)} h`),
+      `Buying the minerals/ice instead: ${cell(t.buyMined)} ISK • mining saves ${cell(t.savings)} ISK (${cell(t.iskPerHour)} ISK/hour)`,
+    ]
+    : ["Nothing to mine: no minerals or ice products on the bill."];
+  return [head, "", ...lines, "", ...mine].join("\n");
+}
+
+async function runBuild(values, input, provider, format, onStatus) {
+  const goal = parseBuildGoal(values.build);
+  if (!goal) throw new UsageError("--build needs a product.");
+  const me = num(values.me, "me", 0);
+  const result = await planBuildGoal({
+    ...input,
+    product: goal.name,
+    count: goal.count,
+    me,
+    components: !values["no-components"],
+    ores: values.ore || "",
+  }, provider, { onStatus });
+
+  const rows = summarizeBuild(result);
+  if (format === "json") {
+    console.log(JSON.stringify({
+      product: result.product,
+      me: result.me,
+      hub: result.hub.id,
+      basis: result.basis.id,
+      built: result.built,
+      materials: rows,
+      ores: result.plan ? result.plan.rows.map((r) => ({ typeId: r.typeId, name: r.name, units: r.units, m3: r.m3, miningHours: r.miningHours, tax: r.tax })) : [],
+      m3PerHour: result.plan?.m3PerHour ?? null,
+      reprocessTax: result.tax,
+      totals: result.totals,
+    }, null, 2));
+  } else if (format === "csv") {
+    const keys = ["material", "typeId", "kind", "qty", "unitPrice", "buyIsk"];
+    console.log([keys.join(","), ...rows.map((r) => keys.map((k) => csvCell(r[k])).join(","))].join("\n"));
+  } else {
+    console.log(formatBuildTable(rows, result));
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({ options: OPTIONS, allowPositionals: false });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const format = values.format || "table";
+  if (!["json", "csv", "table"].includes(format)) throw new UsageError(`Unknown format "${format}".`);
+
+  const input = buildInput(values);
+  const provider = values.fixtures?.length
+    ? createFixtureProvider(loadFixtures(values.fixtures))
+    : createHttpProvider({ esiBase: values.esi, refBase: values.ref });
+  const onStatus = (msg, kind) => {
+    if (kind === "warn") console.error(`warning: ${msg}`);
+  };
+  if (values.build) return runBuild(values, input, provider, format, onStatus);
+
+  const calc = await calculateHarvest(input, provider, { onStatus });
+  if (!calc) throw new Error("No full cycles to compute.");
+
+  const rows = summarize(calc);
+  if (format === "json") {
+    console.log(JSON.stringify({
+      hub: calc.hub.id,
+      basis: calc.basis.id,
+      totalM3: calc.fleet.totalM3,
+      m3PerHour: calc.fleet.m3PerHour,
+      fees: calc.fees,
+      reprocessTax: calc.tax,
+      rows,
+    }, null, 2));
+  } else if (format === "csv") {
+    console.log(formatCsv(rows));
+  } else {
+    console.log(formatTable(rows, calc));
+  }
+}
+
+main().catch((err) => {
+  if (err instanceof UsageError || err?.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  console.error(err?.message || String(err));
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// Bundled fitting data for the fitting builder (no live service needed).
+// Values follow Tranquility at the time of writing; bonuses are stored as fractions
+// (0.05 = 5%). If CCP rebalances something, edit the numbers here.
+
+// Hulls. `modules` is the number of harvester slots the preset fills by default,
+// `moduleClass` limits which modules can be fitted. `oreHoldM3` is the unskilled ore hold.
+// `gasCyclePerLevel` (mining frigates) replaces `cyclePerLevel` for gas harvesters.
+export const HULLS = [
+  { id: "venture", name: "Venture", moduleClass: "laser", modules: 2, roleYield: 1.0, skill: "Mining Frigate", yieldPerLevel: 0.05, cyclePerLevel: 0, gasCyclePerLevel: 0.05, oreHoldM3: 5000 },
+  { id: "prospect", name: "Prospect", moduleClass: "laser", modules: 2, roleYield: 1.0, skill: "Expedition Frigates", yieldPerLevel: 0.05, cyclePerLevel: 0, gasCyclePerLevel: 0.05, oreHoldM3: 10000 },
+  { id: "procurer", name: "Procurer", moduleClass: "strip", modules: 1, roleYield: 0, skill: "Mining Barge", yieldPerLevel: 0.02, cyclePerLevel: 0, oreHoldM3: 16000 },
+  { id: "retriever", name: "Retriever", moduleClass: "strip", modules: 2, roleYield: 0, skill: "Mining Barge", yieldPerLevel: 0.02, cyclePerLevel: 0, oreHoldM3: 27500 },
+  { id: "covetor", name: "Covetor", moduleClass: "strip", modules: 2, roleYield: 0, skill: "Mining Barge", yieldPerLevel: 0.03, cyclePerLevel: 0.02, oreHoldM3: 9000 },
+  { id: "skiff", name: "Skiff", moduleClass: "strip", modules: 1, roleYield: 0, skill: "Exhumers", yieldPerLevel: 0.03, cyclePerLevel: 0.02, oreHoldM3: 18500 },
+  { id: "mackinaw", name: "Mackinaw", moduleClass: "strip", modules: 2, roleYield: 0, skill: "Exhumers", yieldPerLevel: 0.03, cyclePerLevel: 0.02, oreHoldM3: 35000 },
+  { id: "hulk", name: "Hulk", moduleClass: "strip", modules: 3, roleYield: 0, skill: "Exhumers", yieldPerLevel: 0.03, cyclePerLevel: 0.03, oreHoldM3: 11500 },
+];
+
+// Harvester modules: base m³ per cycle and cycle time (seconds).
+// `kind` decides which skills/upgrades apply (ore, ice or gas). Gas yield gets no skill,
+// crystal or upgrade bonus; only the hull and boosts shorten the cycle.
+// Critical success: `critChance` per cycle to pull `critBonus` × the cycle yield on top.
+export const MINING_MODULES = [
+  { id: "miner1", name: "Miner I", class: "laser", kind: "ore", yieldM3: 40, cycleSeconds: 60, crystals: false, critChance: 0.01, critBonus: 1 },
+  { id: "miner2", name: "Miner II", class: "laser", kind: "ore", yieldM3: 60, cycleSeconds: 60, crystals: false, critChance: 0.01, critBonus: 2 },
+  { id: "modMiner2", name: "Modulated Miner II", class: "laser", kind: "ore", yieldM3: 45, cycleSeconds: 60, crystals: true, critChance: 0.01, critBonus: 2 },
+  { id: "iceLaser1", name: "Ice Mining Laser I", class: "laser", kind: "ice", yieldM3: 1000, cycleSeconds: 400, crystals: false, critChance: 0, critBonus: 0 },
+  { id: "strip1", name: "Strip Miner I", class: "strip", kind: "ore", yieldM3: 540, cycleSeconds: 180, crystals: false, critChance: 0.01, critBonus: 1 },
+  { id: "modStrip2", name: "Modulated Strip Miner II", class: "strip", kind: "ore", yieldM3: 360, cycleSeconds: 180, crystals: true, critChance: 0.01, critBonus: 2 },
+  { id: "iceHarv1", name: "Ice Harvester I", class: "strip", kind: "ice", yieldM3: 1000, cycleSeconds: 300, crystals: false, critChance: 0, critBonus: 0 },
+  { id: "iceHarv2", name: "Ice Harvester II", class: "strip", kind: "ice", yieldM3: 1000, cycleSeconds: 250, crystals: false, critChance: 0, critBonus: 0 },
+  { id: "gasScoop1", name: "Gas Cloud Scoop I", class: "laser", kind: "gas", yieldM3: 10, cycleSeconds: 30, crystals: false, critChance: 0, critBonus: 0 },
+  { id: "gasScoop2", name: "Gas Cloud Scoop II", class: "laser", kind: "gas", yieldM3: 20, cycleSeconds: 40, crystals: false, critChance: 0, critBonus: 0 },
+  { id: "gasScoopSyn", name: "Syndicate Gas Cloud Scoop", class: "laser", kind: "gas", yieldM3: 10, cycleSeconds: 24, crystals: false, critChance: 0, critBonus: 0 },
+  { id: "gasHarv1", name: "Gas Cloud Harvester I", class: "strip", kind: "gas", yieldM3: 100, cycleSeconds: 120, crystals: false, critChance: 0, critBonus: 0 },
+  { id: "gasHarv2", name: "Gas Cloud Harvester II", class: "strip", kind: "gas", yieldM3: 200, cycleSeconds: 160, crystals: false, critChance: 0, critBonus: 0 },
+];
+
+// Asteroid mining crystals (modulated modules only). Multiplies module yield.
+// Residue: `residueChance` per cycle to destroy `residueMult` × the cycle yield from the rock.
+export const CRYSTALS = [
+  { id: "none", name: "No crystal", yieldMult: 1, residueChance: 0, residueMult: 0 },
+  { id: "a1", name: "Type A I", yieldMult: 1.30, residueChance: 0, residueMult: 0 },
+  { id: "a2", name: "Type A II", yieldMult: 1.38, residueChance: 0, residueMult: 0 },
+  { id: "b1", name: "Type B I", yieldMult: 1.575, residueChance: 0.34, residueMult: 1 },
+  { id: "b2", name: "Type B II", yieldMult: 1.66, residueChance: 0.34, residueMult: 1 },
+  { id: "c1", name: "Type C I", yieldMult: 1.75, residueChance: 0.50, residueMult: 1 },
+  { id: "c2", name: "Type C II", yieldMult: 1.85, residueChance: 0.50, residueMult: 1 },
+];
+
+// Low-slot upgrades. Mining upgrades add ore yield, ice upgrades cut ice cycle time.
+// Neither is stacking penalized in game.
+export const UPGRADES = [
+  { id: "none", name: "None", kind: null, bonus: 0 },
+  { id: "mlu1", name: "Mining Laser Upgrade I", kind: "ore", bonus: 0.05 },
+  { id: "mlu2", name: "Mining Laser Upgrade II", kind: "ore", bonus: 0.09 },
+  { id: "ihu1", name: "Ice Harvester Upgrade I", kind: "ice", bonus: 0.05 },
+  { id: "ihu2", name: "Ice Harvester Upgrade II", kind: "ice", bonus: 0.09 },
+];
+
+// Mining Laser Optimization command bursts (cycle time reduction).
+// Strengths assume T2 bursts with the booster's skills at V.
+export const BOOSTS = [
+  { id: "none", name: "No boosts", cycleBonus: 0 },
+  { id: "porpoise", name: "Porpoise (T2 burst)", cycleBonus: 0.205 },
+  { id: "orca", name: "Orca (T2 burst)", cycleBonus: 0.257 },
+  { id: "orcaLink", name: "Orca (T2 burst + Mining Foreman Mindlink)", cycleBonus: 0.30 },
+  { id: "rorqual", name: "Rorqual (industrial core)", cycleBonus: 0.37 },
+  { id: "custom", name: "Custom…", cycleBonus: null },
+];
+
+// Character skill bonuses (per level).
+export const SKILL_BONUSES = {
+  mining: 0.05, // ore yield
+  astrogeology: 0.05, // ore yield
+  iceHarvesting: 0.05, // ice cycle time
+};
@@ -0,0 +1,308 @@
+// Bundled static type data: ore, ice, gas and moon ore (with compressed forms) plus everything
+// they reprocess into. Used for offline name search / resolution and as the type data
+// fallback when EVE Ref can't be reached. Refresh with `npm run build:types`
+// (scripts/build-types.mjs), which rebuilds this file from EVE Ref and bumps TYPES_VERSION.
+
+export const TYPES_VERSION = "2026-10-19";
+
+export const CATEGORIES = {
+  4: "Material",
+  25: "Asteroid",
+};
+
+export const GROUPS = {
+  18: { name: "Mineral", categoryId: 4 },
+  423: { name: "Ice Product", categoryId: 4 },
+  427: { name: "Moon Materials", categoryId: 4 },
+  450: { name: "Arkonor", categoryId: 25 },
+  451: { name: "Bistot", categoryId: 25 },
+  452: { name: "Crokite", categoryId: 25 },
+  453: { name: "Dark Ochre", categoryId: 25 },
+  454: { name: "Hedbergite", categoryId: 25 },
+  455: { name: "Hemorphite", categoryId: 25 },
+  456: { name: "Jaspet", categoryId: 25 },
+  457: { name: "Kernite", categoryId: 25 },
+  458: { name: "Plagioclase", categoryId: 25 },
+  459: { name: "Pyroxeres", categoryId: 25 },
+  460: { name: "Scordite", categoryId: 25 },
+  461: { name: "Spodumain", categoryId: 25 },
+  462: { name: "Veldspar", categoryId: 25 },
+  465: { name: "Ice", categoryId: 25 },
+  467: { name: "Gneiss", categoryId: 25 },
+  468: { name: "Mercoxit", categoryId: 25 },
+  469: { name: "Omber", categoryId: 25 },
+  711: { name: "Harvestable Cloud", categoryId: 25 },
+  1884: { name: "Ubiquitous Moon Asteroids", categoryId: 25 },
+  1920: { name: "Common Moon Asteroids", categoryId: 25 },
+  1921: { name: "Uncommon Moon Asteroids", categoryId: 25 },
+  1922: { name: "Rare Moon Asteroids", categoryId: 25 },
+  1923: { name: "Exceptional Moon Asteroids", categoryId: 25 },
+  4029: { name: "Bezdnacine", categoryId: 25 },
+  4030: { name: "Rakovene", categoryId: 25 },
+  4031: { name: "Talassonite", categoryId: 25 },
+};
+
+// materials: { materialTypeId: quantity per portion }
+export const TYPES = [
+  // Minerals
+  { typeId: 34, name: "Tritanium", groupId: 18, volume: 0.01, portionSize: 1 },
+  { typeId: 35, name: "Pyerite", groupId: 18, volume: 0.01, portionSize: 1 },
+  { typeId: 36, name: "Mexallon", groupId: 18, volume: 0.01, portionSize: 1 },
+  { typeId: 37, name: "Isogen", groupId: 18, volume: 0.01, portionSize: 1 },
+  { typeId: 38, name: "Nocxium", groupId: 18, volume: 0.01, portionSize: 1 },
+  { typeId: 39, name: "Zydrine", groupId: 18, volume: 0.01, portionSize: 1 },
+  { typeId: 40, name: "Megacyte", groupId: 18, volume: 0.01, portionSize: 1 },
+  { typeId: 11399, name: "Morphite", groupId: 18, volume: 0.01, portionSize: 1 },
+
+  // Ice products
+  { typeId: 16272, name: "Heavy Water", groupId: 423, volume: 0.4, portionSize: 1 },
+  { typeId: 16273, name: "Liquid Ozone", groupId: 423, volume: 0.4, portionSize: 1 },
+  { typeId: 16274, name: "Helium Isotopes", groupId: 423, volume: 0.03, portionSize: 1 },
+  { typeId: 16275, name: "Strontium Clathrates", groupId: 423, volume: 3, portionSize: 1 },
+  { typeId: 17887, name: "Oxygen Isotopes", groupId: 423, volume: 0.03, portionSize: 1 },
+  { typeId: 17888, name: "Nitrogen Isotopes", groupId: 423, volume: 0.03, portionSize: 1 },
+  { typeId: 17889, name: "Hydrogen Isotopes", groupId: 423, volume: 0.03, portionSize: 1 },
+
+  // Moon materials
+  { typeId: 16633, name: "Hydrocarbons", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16634, name: "Atmospheric Gases", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16635, name: "Evaporite Deposits", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16636, name: "Silicates", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16637, name: "Tungsten", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16638, name: "Titanium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16639, name: "Scandium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16640, name: "Cobalt", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16641, name: "Chromium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16642, name: "Vanadium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16643, name: "Cadmium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16644, name: "Platinum", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16646, name: "Mercury", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16647, name: "Caesium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16648, name: "Hafnium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16649, name: "Technetium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16650, name: "Dysprosium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16651, name: "Neodymium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16652, name: "Promethium", groupId: 427, volume: 0.05, portionSize: 1 },
+  { typeId: 16653, name: "Thulium", groupId: 427, volume: 0.05, portionSize: 1 },
+
+  // Ore
+  { typeId: 1230, name: "Veldspar", groupId: 462, volume: 0.1, portionSize: 100, materials: { 34: 400 } },
+  { typeId: 1228, name: "Scordite", groupId: 460, volume: 0.15, portionSize: 100, materials: { 34: 150, 35: 90 } },
+  { typeId: 1224, name: "Pyroxeres", groupId: 459, volume: 0.3, portionSize: 100, materials: { 35: 90, 36: 30 } },
+  { typeId: 18, name: "Plagioclase", groupId: 458, volume: 0.35, portionSize: 100, materials: { 34: 175, 36: 70 } },
+  { typeId: 1227, name: "Omber", groupId: 469, volume: 0.6, portionSize: 100, materials: { 35: 90, 37: 75 } },
+  { typeId: 20, name: "Kernite", groupId: 457, volume: 1.2, portionSize: 100, materials: { 36: 60, 37: 120 } },
+  { typeId: 1226, name: "Jaspet", groupId: 456, volume: 2, portionSize: 100, materials: { 36: 150, 38: 50 } },
+  { typeId: 1231, name: "Hemorphite", groupId: 455, volume: 3, portionSize: 100, materials: { 37: 240, 38: 90 } },
+  { typeId: 21, name: "Hedbergite", groupId: 454, volume: 3, portionSize: 100, materials: { 35: 450, 38: 120 } },
+  { typeId: 1229, name: "Gneiss", groupId: 467, volume: 5, portionSize: 100, materials: { 35: 2000, 36: 1500, 37: 800 } },
+  { typeId: 1232, name: "Dark Ochre", groupId: 453, volume: 8, portionSize: 100, materials: { 36: 1360, 37: 1200, 38: 320 } },
+  { typeId: 19, name: "Spodumain", groupId: 461, volume: 16, portionSize: 100, materials: { 34: 48000, 37: 1000, 38: 160, 39: 80, 40: 40 } },
+  { typeId: 1225, name: "Crokite", groupId: 452, volume: 16, portionSize: 100, materials: { 35: 800, 36: 2000, 38: 800 } },
+  { typeId: 1223, name: "Bistot", groupId: 451, volume: 16, portionSize: 100, materials: { 35: 3200, 36: 1200, 39: 160 } },
+  { typeId: 22, name: "Arkonor", groupId: 450, volume: 16, portionSize: 100, materials: { 35: 3200, 36: 1200, 40: 120 } },
+  { typeId: 11396, name: "Mercoxit", groupId: 468, volume: 40, portionSize: 100, materials: { 11399: 140 } },
+  { typeId: 52316, name: "Bezdnacine", groupId: 4029, volume: 16, portionSize: 100, materials: { 34: 40000, 37: 4800, 40: 128 } },
+  { typeId: 52315, name: "Rakovene", groupId: 4030, volume: 16, portionSize: 100, materials: { 34: 40000, 37: 3200, 39: 200 } },
+  { typeId: 52306, name: "Talassonite", groupId: 4031, volume: 16, portionSize: 100, materials: { 34: 40000, 38: 960, 40: 32 } },
+
+  // Ore grades: +5%, +10%, +15% reprocessing output (Mercoxit and the abyssal ores have two)
+  { typeId: 17470, name: "Concentrated Veldspar", groupId: 462, volume: 0.1, portionSize: 100, materials: { 34: 420 } },
+  { typeId: 17471, name: "Dense Veldspar", groupId: 462, volume: 0.1, portionSize: 100, materials: { 34: 440 } },
+  { typeId: 46689, name: "Stable Veldspar", groupId: 462, volume: 0.1, portionSize: 100, materials: { 34: 460 } },
+  { typeId: 17463, name: "Condensed Scordite", groupId: 460, volume: 0.15, portionSize: 100, materials: { 34: 158, 35: 95 } },
+  { typeId: 17464, name: "Massive Scordite", groupId: 460, volume: 0.15, portionSize: 100, materials: { 34: 165, 35: 99 } },
+  { typeId: 46687, name: "Glossy Scordite", groupId: 460, volume: 0.15, portionSize: 100, materials: { 34: 173, 35: 103 } },
+  { typeId: 17459, name: "Solid Pyroxeres", groupId: 459, volume: 0.3, portionSize: 100, materials: { 35: 95, 36: 32 } },
+  { typeId: 17460, name: "Viscous Pyroxeres", groupId: 459, volume: 0.3, portionSize: 100, materials: { 35: 99, 36: 33 } },
+  { typeId: 46686, name: "Opulent Pyroxeres", groupId: 459, volume: 0.3, portionSize: 100, materials: { 35: 103, 36: 35 } },
+  { typeId: 17455, name: "Azure Plagioclase", groupId: 458, volume: 0.35, portionSize: 100, materials: { 34: 184, 36: 74 } },
+  { typeId: 17456, name: "Rich Plagioclase", groupId: 458, volume: 0.35, portionSize: 100, materials: { 34: 193, 36: 77 } },
+  { typeId: 46685, name: "Sparkling Plagioclase", groupId: 458, volume: 0.35, portionSize: 100, materials: { 34: 201, 36: 81 } },
+  { typeId: 17867, name: "Silvery Omber", groupId: 469, volume: 0.6, portionSize: 100, materials: { 35: 95, 37: 79 } },
+  { typeId: 17868, name: "Golden Omber", groupId: 469, volume: 0.6, portionSize: 100, materials: { 35: 99, 37: 83 } },
+  { typeId: 46684, name: "Platinoid Omber", groupId: 469, volume: 0.6, portionSize: 100, materials: { 35: 103, 37: 86 } },
+  { typeId: 17452, name: "Luminous Kernite", groupId: 457, volume: 1.2, portionSize: 100, materials: { 36: 63, 37: 126 } },
+  { typeId: 17453, name: "Fiery Kernite", groupId: 457, volume: 1.2, portionSize: 100, materials: { 36: 66, 37: 132 } },
+  { typeId: 46683, name: "Resplendant Kernite", groupId: 457, volume: 1.2, portionSize: 100, materials: { 36: 69, 37: 138 } },
+  { typeId: 17448, name: "Pure Jaspet", groupId: 456, volume: 2, portionSize: 100, materials: { 36: 158, 38: 53 } },
+  { typeId: 17449, name: "Pristine Jaspet", groupId: 456, volume: 2, portionSize: 100, materials: { 36: 165, 38: 55 } },
+  { typeId: 46682, name: "Immaculate Jaspet", groupId: 456, volume: 2, portionSize: 100, materials: { 36: 173, 38: 57 } },
+  { typeId: 17444, name: "Vivid Hemorphite", groupId: 455, volume: 3, portionSize: 100, materials: { 37: 252, 38: 95 } },
+  { typeId: 17445, name: "Radiant Hemorphite", groupId: 455, volume: 3, portionSize: 100, materials: { 37: 264, 38: 99 } },
+  { typeId: 46681, name: "Scintillating Hemorphite", groupId: 455, volume: 3, portionSize: 100, materials: { 37: 276, 38: 103 } },
+  { typeId: 17440, name: "Vitric Hedbergite", groupId: 454, volume: 3, portionSize: 100, materials: { 35: 473, 38: 126 } },
+  { typeId: 17441, name: "Glazed Hedbergite", groupId: 454, volume: 3, portionSize: 100, materials: { 35: 495, 38: 132 } },
+  { typeId: 46680, name: "Lustrous Hedbergite", groupId: 454, volume: 3, portionSize: 100, materials: { 35: 518, 38: 138 } },
+  { typeId: 17865, name: "Iridescent Gneiss", groupId: 467, volume: 5, portionSize: 100, materials: { 35: 2100, 36: 1575, 37: 840 } },
+  { typeId: 17866, name: "Prismatic Gneiss", groupId: 467, volume: 5, portionSize: 100, materials: { 35: 2200, 36: 1650, 37: 880 } },
+  { typeId: 46679, name: "Brilliant Gneiss", groupId: 467, volume: 5, portionSize: 100, materials: { 35: 2300, 36: 1725, 37: 920 } },
+  { typeId: 17436, name: "Onyx Ochre", groupId: 453, volume: 8, portionSize: 100, materials: { 36: 1428, 37: 1260, 38: 336 } },
+  { typeId: 17437, name: "Obsidian Ochre", groupId: 453, volume: 8, portionSize: 100, materials: { 36: 1496, 37: 1320, 38: 352 } },
+  { typeId: 46675, name: "Jet Ochre", groupId: 453, volume: 8, portionSize: 100, materials: { 36: 1564, 37: 1380, 38: 368 } },
+  { typeId: 17466, name: "Bright Spodumain", groupId: 461, volume: 16, portionSize: 100, materials: { 34: 50400, 37: 1050, 38: 168, 39: 84, 40: 42 } },
+  { typeId: 17467, name: "Gleaming Spodumain", groupId: 461, volume: 16, portionSize: 100, materials: { 34: 52800, 37: 1100, 38: 176, 39: 88, 40: 44 } },
+  { typeId: 46688, name: "Dazzling Spodumain", groupId: 461, volume: 16, portionSize: 100, materials: { 34: 55200, 37: 1150, 38: 184, 39: 92, 40: 46 } },
+  { typeId: 17432, name: "Sharp Crokite", groupId: 452, volume: 16, portionSize: 100, materials: { 35: 840, 36: 2100, 38: 840 } },
+  { typeId: 17433, name: "Crystalline Crokite", groupId: 452, volume: 16, portionSize: 100, materials: { 35: 880, 36: 2200, 38: 880 } },
+  { typeId: 46677, name: "Pellucid Crokite", groupId: 452, volume: 16, portionSize: 100, materials: { 35: 920, 36: 2300, 38: 920 } },
+  { typeId: 17428, name: "Triclinic Bistot", groupId: 451, volume: 16, portionSize: 100, materials: { 35: 3360, 36: 1260, 39: 168 } },
+  { typeId: 17429, name: "Monoclinic Bistot", groupId: 451, volume: 16, portionSize: 100, materials: { 35: 3520, 36: 1320, 39: 176 } },
+  { typeId: 46676, name: "Cubic Bistot", groupId: 451, volume: 16, portionSize: 100, materials: { 35: 3680, 36: 1380, 39: 184 } },
+  { typeId: 17425, name: "Crimson Arkonor", groupId: 450, volume: 16, portionSize: 100, materials: { 35: 3360, 36: 1260, 40: 126 } },
+  { typeId: 17426, name: "Prime Arkonor", groupId: 450, volume: 16, portionSize: 100, materials: { 35: 3520, 36: 1320, 40: 132 } },
+  { typeId: 46678, name: "Flawless Arkonor", groupId: 450, volume: 16, portionSize: 100, materials: { 35: 3680, 36: 1380, 40: 138 } },
+  { typeId: 17869, name: "Magma Mercoxit", groupId: 468, volume: 40, portionSize: 100, materials: { 11399: 147 } },
+  { typeId: 17870, name: "Vitreous Mercoxit", groupId: 468, volume: 40, portionSize: 100, materials: { 11399: 154 } },
+  { typeId: 56627, name: "Abyssal Bezdnacine", groupId: 4029, volume: 16, portionSize: 100, materials: { 34: 42000, 37: 5040, 40: 134 } },
+  { typeId: 56628, name: "Hadal Bezdnacine", groupId: 4029, volume: 16, portionSize: 100, materials: { 34: 44000, 37: 5280, 40: 141 } },
+  { typeId: 56629, name: "Abyssal Rakovene", groupId: 4030, volume: 16, portionSize: 100, materials: { 34: 42000, 37: 3360, 39: 210 } },
+  { typeId: 56630, name: "Hadal Rakovene", groupId: 4030, volume: 16, portionSize: 100, materials: { 34: 44000, 37: 3520, 39: 220 } },
+  { typeId: 56625, name: "Abyssal Talassonite", groupId: 4031, volume: 16, portionSize: 100, materials: { 34: 42000, 38: 1008, 40: 34 } },
+  { typeId: 56626, name: "Hadal Talassonite", groupId: 4031, volume: 16, portionSize: 100, materials: { 34: 44000, 38: 1056, 40: 35 } },
+
+  // Compressed ore (1 ore -> 1 compressed unit, same materials)
+  { typeId: 62516, name: "Compressed Veldspar", groupId: 462, volume: 0.001, portionSize: 100, materials: { 34: 400 } },
+  { typeId: 62520, name: "Compressed Scordite", groupId: 460, volume: 0.0015, portionSize: 100, materials: { 34: 150, 35: 90 } },
+  { typeId: 62524, name: "Compressed Pyroxeres", groupId: 459, volume: 0.003, portionSize: 100, materials: { 35: 90, 36: 30 } },
+  { typeId: 62528, name: "Compressed Plagioclase", groupId: 458, volume: 0.0035, portionSize: 100, materials: { 34: 175, 36: 70 } },
+  { typeId: 62532, name: "Compressed Omber", groupId: 469, volume: 0.006, portionSize: 100, materials: { 35: 90, 37: 75 } },
+  { typeId: 62536, name: "Compressed Kernite", groupId: 457, volume: 0.012, portionSize: 100, materials: { 36: 60, 37: 120 } },
+  { typeId: 62540, name: "Compressed Jaspet", groupId: 456, volume: 0.02, portionSize: 100, materials: { 36: 150, 38: 50 } },
+  { typeId: 62544, name: "Compressed Hemorphite", groupId: 455, volume: 0.03, portionSize: 100, materials: { 37: 240, 38: 90 } },
+  { typeId: 62548, name: "Compressed Hedbergite", groupId: 454, volume: 0.03, portionSize: 100, materials: { 35: 450, 38: 120 } },
+  { typeId: 62552, name: "Compressed Gneiss", groupId: 467, volume: 0.05, portionSize: 100, materials: { 35: 2000, 36: 1500, 37: 800 } },
+  { typeId: 62556, name: "Compressed Dark Ochre", groupId: 453, volume: 0.08, portionSize: 100, materials: { 36: 1360, 37: 1200, 38: 320 } },
+  { typeId: 62572, name: "Compressed Spodumain", groupId: 461, volume: 0.16, portionSize: 100, materials: { 34: 48000, 37: 1000, 38: 160, 39: 80, 40: 40 } },
+  { typeId: 62560, name: "Compressed Crokite", groupId: 452, volume: 0.16, portionSize: 100, materials: { 35: 800, 36: 2000, 38: 800 } },
+  { typeId: 62564, name: "Compressed Bistot", groupId: 451, volume: 0.16, portionSize: 100, materials: { 35: 3200, 36: 1200, 39: 160 } },
+  { typeId: 62568, name: "Compressed Arkonor", groupId: 450, volume: 0.16, portionSize: 100, materials: { 35: 3200, 36: 1200, 40: 120 } },
+  { typeId: 62586, name: "Compressed Mercoxit", groupId: 468, volume: 0.4, portionSize: 100, materials: { 11399: 140 } },
+  { typeId: 62576, name: "Compressed Bezdnacine", groupId: 4029, volume: 0.16, portionSize: 100, materials: { 34: 40000, 37: 4800, 40: 128 } },
+  { typeId: 62579, name: "Compressed Rakovene", groupId: 4030, volume: 0.16, portionSize: 100, materials: { 34: 40000, 37: 3200, 39: 200 } },
+  { typeId: 62582, name: "Compressed Talassonite", groupId: 4031, volume: 0.16, portionSize: 100, materials: { 34: 40000, 38: 960, 40: 32 } },
+
+  // Compressed ore grades
+  { typeId: 62517, name: "Compressed Concentrated Veldspar", groupId: 462, volume: 0.001, portionSize: 100, materials: { 34: 420 } },
+  { typeId: 62518, name: "Compressed Dense Veldspar", groupId: 462, volume: 0.001, portionSize: 100, materials: { 34: 440 } },
+  { typeId: 62519, name: "Compressed Stable Veldspar", groupId: 462, volume: 0.001, portionSize: 100, materials: { 34: 460 } },
+  { typeId: 62521, name: "Compressed Condensed Scordite", groupId: 460, volume: 0.0015, portionSize: 100, materials: { 34: 158, 35: 95 } },
+  { typeId: 62522, name: "Compressed Massive Scordite", groupId: 460, volume: 0.0015, portionSize: 100, materials: { 34: 165, 35: 99 } },
+  { typeId: 62523, name: "Compressed Glossy Scordite", groupId: 460, volume: 0.0015, portionSize: 100, materials: { 34: 173, 35: 103 } },
+  { typeId: 62525, name: "Compressed Solid Pyroxeres", groupId: 459, volume: 0.003, portionSize: 100, materials: { 35: 95, 36: 32 } },
+  { typeId: 62526, name: "Compressed Viscous Pyroxeres", groupId: 459, volume: 0.003, portionSize: 100, materials: { 35: 99, 36: 33 } },
+  { typeId: 62527, name: "Compressed Opulent Pyroxeres", groupId: 459, volume: 0.003, portionSize: 100, materials: { 35: 103, 36: 35 } },
+  { typeId: 62529, name: "Compressed Azure Plagioclase", groupId: 458, volume: 0.0035, portionSize: 100, materials: { 34: 184, 36: 74 } },
+  { typeId: 62530, name: "Compressed Rich Plagioclase", groupId: 458, volume: 0.0035, portionSize: 100, materials: { 34: 193, 36: 77 } },
+  { typeId: 62531, name: "Compressed Sparkling Plagioclase", groupId: 458, volume: 0.0035, portionSize: 100, materials: { 34: 201, 36: 81 } },
+  { typeId: 62533, name: "Compressed Silvery Omber", groupId: 469, volume: 0.006, portionSize: 100, materials: { 35: 95, 37: 79 } },
+  { typeId: 62534, name: "Compressed Golden Omber", groupId: 469, volume: 0.006, portionSize: 100, materials: { 35: 99, 37: 83 } },
+  { typeId: 62535, name: "Compressed Platinoid Omber", groupId: 469, volume: 0.006, portionSize: 100, materials: { 35: 103, 37: 86 } },
+  { typeId: 62537, name: "Compressed Luminous Kernite", groupId: 457, volume: 0.012, portionSize: 100, materials: { 36: 63, 37: 126 } },
+  { typeId: 62538, name: "Compressed Fiery Kernite", groupId: 457, volume: 0.012, portionSize: 100, materials: { 36: 66, 37: 132 } },
+  { typeId: 62539, name: "Compressed Resplendant Kernite", groupId: 457, volume: 0.012, portionSize: 100, materials: { 36: 69, 37: 138 } },
+  { typeId: 62541, name: "Compressed Pure Jaspet", groupId: 456, volume: 0.02, portionSize: 100, materials: { 36: 158, 38: 53 } },
+  { typeId: 62542, name: "Compressed Pristine Jaspet", groupId: 456, volume: 0.02, portionSize: 100, materials: { 36: 165, 38: 55 } },
+  { typeId: 62543, name: "Compressed Immaculate Jaspet", groupId: 456, volume: 0.02, portionSize: 100, materials: { 36: 173, 38: 57 } },
+  { typeId: 62545, name: "Compressed Vivid Hemorphite", groupId: 455, volume: 0.03, portionSize: 100, materials: { 37: 252, 38: 95 } },
+  { typeId: 62546, name: "Compressed Radiant Hemorphite", groupId: 455, volume: 0.03, portionSize: 100, materials: { 37: 264, 38: 99 } },
+  { typeId: 62547, name: "Compressed Scintillating Hemorphite", groupId: 455, volume: 0.03, portionSize: 100, materials: { 37: 276, 38: 103 } },
+  { typeId: 62549, name: "Compressed Vitric Hedbergite", groupId: 454, volume: 0.03, portionSize: 100, materials: { 35: 473, 38: 126 } },
+  { typeId: 62550, name: "Compressed Glazed Hedbergite", groupId: 454, volume: 0.03, portionSize: 100, materials: { 35: 495, 38: 132 } },
+  { typeId: 62551, name: "Compressed Lustrous Hedbergite", groupId: 454, volume: 0.03, portionSize: 100, materials: { 35: 518, 38: 138 } },
+  { typeId: 62553, name: "Compressed Iridescent Gneiss", groupId: 467, volume: 0.05, portionSize: 100, materials: { 35: 2100, 36: 1575, 37: 840 } },
+  { typeId: 62554, name: "Compressed Prismatic Gneiss", groupId: 467, volume: 0.05, portionSize: 100, materials: { 35: 2200, 36: 1650, 37: 880 } },
+  { typeId: 62555, name: "Compressed Brilliant Gneiss", groupId: 467, volume: 0.05, portionSize: 100, materials: { 35: 2300, 36: 1725, 37: 920 } },
+  { typeId: 62557, name: "Compressed Onyx Ochre", groupId: 453, volume: 0.08, portionSize: 100, materials: { 36: 1428, 37: 1260, 38: 336 } },
+  { typeId: 62558, name: "Compressed Obsidian Ochre", groupId: 453, volume: 0.08, portionSize: 100, materials: { 36: 1496, 37: 1320, 38: 352 } },
+  { typeId: 62559, name: "Compressed Jet Ochre", groupId: 453, volume: 0.08, portionSize: 100, materials: { 36: 1564, 37: 1380, 38: 368 } },
+  { typeId: 62573, name: "Compressed Bright Spodumain", groupId: 461, volume: 0.16, portionSize: 100, materials: { 34: 50400, 37: 1050, 38: 168, 39: 84, 40: 42 } },
+  { typeId: 62574, name: "Compressed Gleaming Spodumain", groupId: 461, volume: 0.16, portionSize: 100, materials: { 34: 52800, 37: 1100, 38: 176, 39: 88, 40: 44 } },
+  { typeId: 62575, name: "Compressed Dazzling Spodumain", groupId: 461, volume: 0.16, portionSize: 100, materials: { 34: 55200, 37: 1150, 38: 184, 39: 92, 40: 46 } },
+  { typeId: 62561, name: "Compressed Sharp Crokite", groupId: 452, volume: 0.16, portionSize: 100, materials: { 35: 840, 36: 2100, 38: 840 } },
+  { typeId: 62562, name: "Compressed Crystalline Crokite", groupId: 452, volume: 0.16, portionSize: 100, materials: { 35: 880, 36: 2200, 38: 880 } },
+  { typeId: 62563, name: "Compressed Pellucid Crokite", groupId: 452, volume: 0.16, portionSize: 100, materials: { 35: 920, 36: 2300, 38: 920 } },
+  { typeId: 62565, name: "Compressed Triclinic Bistot", groupId: 451, volume: 0.16, portionSize: 100, materials: { 35: 3360, 36: 1260, 39: 168 } },
+  { typeId: 62566, name: "Compressed Monoclinic Bistot", groupId: 451, volume: 0.16, portionSize: 100, materials: { 35: 3520, 36: 1320, 39: 176 } },
+  { typeId: 62567, name: "Compressed Cubic Bistot", groupId: 451, volume: 0.16, portionSize: 100, materials: { 35: 3680, 36: 1380, 39: 184 } },
+  { typeId: 62569, name: "Compressed Crimson Arkonor", groupId: 450, volume: 0.16, portionSize: 100, materials: { 35: 3360, 36: 1260, 40: 126 } },
+  { typeId: 62570, name: "Compressed Prime Arkonor", groupId: 450, volume: 0.16, portionSize: 100, materials: { 35: 3520, 36: 1320, 40: 132 } },
+  { typeId: 62571, name: "Compressed Flawless Arkonor", groupId: 450, volume: 0.16, portionSize: 100, materials: { 35: 3680, 36: 1380, 40: 138 } },
+  { typeId: 62587, name: "Compressed Magma Mercoxit", groupId: 468, volume: 0.4, portionSize: 100, materials: { 11399: 147 } },
+  { typeId: 62588, name: "Compressed Vitreous Mercoxit", groupId: 468, volume: 0.4, portionSize: 100, materials: { 11399: 154 } },
+  { typeId: 62577, name: "Compressed Abyssal Bezdnacine", groupId: 4029, volume: 0.16, portionSize: 100, materials: { 34: 42000, 37: 5040, 40: 134 } },
+  { typeId: 62578, name: "Compressed Hadal Bezdnacine", groupId: 4029, volume: 0.16, portionSize: 100, materials: { 34: 44000, 37: 5280, 40: 141 } },
+  { typeId: 62580, name: "Compressed Abyssal Rakovene", groupId: 4030, volume: 0.16, portionSize: 100, materials: { 34: 42000, 37: 3360, 39: 210 } },
+  { typeId: 62581, name: "Compressed Hadal Rakovene", groupId: 4030, volume: 0.16, portionSize: 100, materials: { 34: 44000, 37: 3520, 39: 220 } },
+  { typeId: 62583, name: "Compressed Abyssal Talassonite", groupId: 4031, volume: 0.16, portionSize: 100, materials: { 34: 42000, 38: 1008, 40: 34 } },
+  { typeId: 62584, name: "Compressed Hadal Talassonite", groupId: 4031, volume: 0.16, portionSize: 100, materials: { 34: 44000, 38: 1056, 40: 35 } },
+
+  // Ice
+  { typeId: 16262, name: "Clear Icicle", groupId: 465, volume: 1000, portionSize: 1, materials: { 16272: 69, 16273: 35, 16274: 414, 16275: 1 } },
+  { typeId: 16263, name: "Glacial Mass", groupId: 465, volume: 1000, portionSize: 1, materials: { 16272: 69, 16273: 35, 16275: 1, 17889: 414 } },
+  { typeId: 16264, name: "Blue Ice", groupId: 465, volume: 1000, portionSize: 1, materials: { 16272: 69, 16273: 35, 16275: 1, 17887: 414 } },
+  { typeId: 16265, name: "White Glaze", groupId: 465, volume: 1000, portionSize: 1, materials: { 16272: 69, 16273: 35, 16275: 1, 17888: 414 } },
+  { typeId: 16266, name: "Glare Crust", groupId: 465, volume: 1000, portionSize: 1, materials: { 16272: 1381, 16273: 691, 16275: 35 } },
+  { typeId: 16267, name: "Dark Glitter", groupId: 465, volume: 1000, portionSize: 1, materials: { 16272: 691, 16273: 1381, 16275: 69 } },
+  { typeId: 16268, name: "Gelidus", groupId: 465, volume: 1000, portionSize: 1, materials: { 16272: 345, 16273: 691, 16275: 104 } },
+  { typeId: 16269, name: "Krystallos", groupId: 465, volume: 1000, portionSize: 1, materials: { 16272: 173, 16273: 691, 16275: 173 } },
+
+  // Compressed ice
+  { typeId: 28433, name: "Compressed Blue Ice", groupId: 465, volume: 100, portionSize: 1, materials: { 16272: 69, 16273: 35, 16275: 1, 17887: 414 } },
+  { typeId: 28434, name: "Compressed Clear Icicle", groupId: 465, volume: 100, portionSize: 1, materials: { 16272: 69, 16273: 35, 16274: 414, 16275: 1 } },
+  { typeId: 28435, name: "Compressed Dark Glitter", groupId: 465, volume: 100, portionSize: 1, materials: { 16272: 691, 16273: 1381, 16275: 69 } },
+  { typeId: 28437, name: "Compressed Gelidus", groupId: 465, volume: 100, portionSize: 1, materials: { 16272: 345, 16273: 691, 16275: 104 } },
+  { typeId: 28438, name: "Compressed Glacial Mass", groupId: 465, volume: 100, portionSize: 1, materials: { 16272: 69, 16273: 35, 16275: 1, 17889: 414 } },
+  { typeId: 28439, name: "Compressed Glare Crust", groupId: 465, volume: 100, portionSize: 1, materials: { 16272: 1381, 16273: 691, 16275: 35 } },
+  { typeId: 28440, name: "Compressed Krystallos", groupId: 465, volume: 100, portionSize: 1, materials: { 16272: 173, 16273: 691, 16275: 173 } },
+  { typeId: 28444, name: "Compressed White Glaze", groupId: 465, volume: 100, portionSize: 1, materials: { 16272: 69, 16273: 35, 16275: 1, 17888: 414 } },
+
+  // Gas (no reprocessing)
+  { typeId: 25268, name: "Amber Cytoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 25273, name: "Golden Cytoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 25274, name: "Viridian Cytoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 25275, name: "Celadon Cytoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 25276, name: "Malachite Cytoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 25277, name: "Lime Cytoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 25278, name: "Vermillion Cytoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 25279, name: "Azure Cytoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 28694, name: "Amber Mykoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 28695, name: "Azure Mykoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 28696, name: "Celadon Mykoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 28697, name: "Golden Mykoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 28698, name: "Lime Mykoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 28699, name: "Malachite Mykoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 28700, name: "Vermillion Mykoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 28701, name: "Viridian Mykoserocin", groupId: 711, volume: 10, portionSize: 1 },
+  { typeId: 30370, name: "Fullerite-C50", groupId: 711, volume: 1, portionSize: 1 },
+  { typeId: 30371, name: "Fullerite-C60", groupId: 711, volume: 1, portionSize: 1 },
+  { typeId: 30372, name: "Fullerite-C70", groupId: 711, volume: 1, portionSize: 1 },
+  { typeId: 30373, name: "Fullerite-C72", groupId: 711, volume: 2, portionSize: 1 },
+  { typeId: 30374, name: "Fullerite-C84", groupId: 711, volume: 2, portionSize: 1 },
+  { typeId: 30375, name: "Fullerite-C28", groupId: 711, volume: 2, portionSize: 1 },
+  { typeId: 30376, name: "Fullerite-C32", groupId: 711, volume: 5, portionSize: 1 },
+  { typeId: 30377, name: "Fullerite-C320", groupId: 711, volume: 5, portionSize: 1 },
+  { typeId: 30378, name: "Fullerite-C540", groupId: 711, volume: 10, portionSize: 1 },
+
+  // Moon ore
+  { typeId: 45490, name: "Zeolites", groupId: 1884, volume: 10, portionSize: 100, materials: { 35: 8000, 36: 400, 16634: 65 } },
+  { typeId: 45491, name: "Sylvite", groupId: 1884, volume: 10, portionSize: 100, materials: { 35: 4000, 36: 400, 16635: 65 } },
+  { typeId: 45492, name: "Bitumens", groupId: 1884, volume: 10, portionSize: 100, materials: { 35: 6000, 36: 400, 16633: 65 } },
+  { typeId: 45493, name: "Coesite", groupId: 1884, volume: 10, portionSize: 100, materials: { 35: 2000, 36: 400, 16636: 65 } },
+  { typeId: 45494, name: "Cobaltite", groupId: 1920, volume: 10, portionSize: 100, materials: { 16640: 40 } },
+  { typeId: 45495, name: "Euxenite", groupId: 1920, volume: 10, portionSize: 100, materials: { 16639: 40 } },
+  { typeId: 45496, name: "Titanite", groupId: 1920, volume: 10, portionSize: 100, materials: { 16638: 40 } },
+  { typeId: 45497, name: "Scheelite", groupId: 1920, volume: 10, portionSize: 100, materials: { 16637: 40 } },
+  { typeId: 45498, name: "Otavite", groupId: 1921, volume: 10, portionSize: 100, materials: { 16634: 10, 16643: 40 } },
+  { typeId: 45499, name: "Sperrylite", groupId: 1921, volume: 10, portionSize: 100, materials: { 16635: 10, 16644: 40 } },
+  { typeId: 45500, name: "Vanadinite", groupId: 1921, volume: 10, portionSize: 100, materials: { 16636: 10, 16642: 40 } },
+  { typeId: 45501, name: "Chromite", groupId: 1921, volume: 10, portionSize: 100, materials: { 16633: 10, 16641: 40 } },
+  { typeId: 45502, name: "Carnotite", groupId: 1922, volume: 10, portionSize: 100, materials: { 16634: 15, 16640: 10, 16649: 50 } },
+  { typeId: 45503, name: "Zircon", groupId: 1922, volume: 10, portionSize: 100, materials: { 16636: 15, 16638: 10, 16648: 50 } },
+  { typeId: 45504, name: "Pollucite", groupId: 1922, volume: 10, portionSize: 100, materials: { 16633: 15, 16639: 10, 16647: 50 } },
+  { typeId: 45506, name: "Cinnabar", groupId: 1922, volume: 10, portionSize: 100, materials: { 16635: 15, 16637: 10, 16646: 50 } },
+  { typeId: 45510, name: "Xenotime", groupId: 1923, volume: 10, portionSize: 100, materials: { 16634: 20, 16642: 10, 16650: 22 } },
+  { typeId: 45511, name: "Monazite", groupId: 1923, volume: 10, portionSize: 100, materials: { 16635: 20, 16641: 10, 16651: 22 } },
+  { typeId: 45512, name: "Loparite", groupId: 1923, volume: 10, portionSize: 100, materials: { 16633: 20, 16644: 10, 16652: 22 } },
+  { typeId: 45513, name: "Ytterbite", groupId: 1923, volume: 10, portionSize: 100, materials: { 16636: 20, 16643: 10, 16653: 22 } },
+];
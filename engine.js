@@ -0,0 +1,2559 @@
+// EVE harvest engine: cycles, units, reprocessing and valuation with no DOM.
+// Shared by app.js (browser) and bin/eve-harvest.js (Node). All data comes through a
+// provider (createHttpProvider for the live APIs, createFixtureProvider for saved responses).
+
+import { HULLS, MINING_MODULES, CRYSTALS, UPGRADES, BOOSTS, SKILL_BONUSES } from "./data/fittings.js";
+import { TYPES as BUNDLED_TYPES, GROUPS as BUNDLED_GROUPS } from "./data/types.js";
+
+// Main trade hubs: station for Fuzzwork / order filtering, region for ESI order paging.
+export const MARKET_HUBS = [
+  { id: "jita", name: "Jita", station: "Jita IV - Moon 4 - Caldari Navy Assembly Plant", stationId: 60003760, regionId: 10000002 },
+  { id: "amarr", name: "Amarr", station: "Amarr VIII (Oris) - Emperor Family Academy", stationId: 60008494, regionId: 10000043 },
+  { id: "dodixie", name: "Dodixie", station: "Dodixie IX - Moon 20 - Federation Navy Assembly Plant", stationId: 60011866, regionId: 10000032 },
+  { id: "rens", name: "Rens", station: "Rens VI - Moon 8 - Brutor Tribe Treasury", stationId: 60004588, regionId: 10000030 },
+  { id: "hek", name: "Hek", station: "Hek VIII - Moon 12 - Boundless Creation Factory", stationId: 60005686, regionId: 10000042 },
+];
+
+export const DEFAULT_HUB = MARKET_HUBS[0];
+
+// Which price to value at. `listing` = you place sell orders (vs. selling into buy orders).
+export const PRICE_BASES = [
+  { id: "sell", name: "List at min sell", short: "sell", listing: true },
+  { id: "buy", name: "Instant sell to buy orders (max buy)", short: "buy", listing: false },
+  { id: "split", name: "Split (mid of max buy and min sell)", short: "split", listing: true },
+  { id: "sell5", name: "Fuzzwork 5th percentile (sell)", short: "sell 5%", listing: true },
+  { id: "buy5", name: "Fuzzwork 5th percentile (buy)", short: "buy 5%", listing: false },
+  { id: "sellAvg", name: "Weighted average (sell orders)", short: "sell avg", listing: true },
+  { id: "buyAvg", name: "Weighted average (buy orders)", short: "buy avg", listing: false },
+  { id: "avg7", name: "7-day average (ESI history)", short: "7d avg", listing: false, days: 7 },
+  { id: "avg30", name: "30-day average (ESI history)", short: "30d avg", listing: false, days: 30 },
+  { id: "avg90", name: "90-day average (ESI history)", short: "90d avg", listing: false, days: 90 },
+];
+
+export const DEFAULT_BASIS = PRICE_BASES[0];
+
+// Live prices this far (%) from the 30-day average get flagged.
+export const OFF_AVERAGE_PCT = 20;
+
+export const ESI_BASE = "https://esi.evetech.net/latest";
+// EVE Ref reference data (types, blueprints); any server with the same /types/{id} and /blueprints/{id} layout works.
+export const REF_BASE = "https://ref-data.everef.net";
+
+// Market fee bases (%), before Accounting / Broker Relations / standings.
+export const BASE_SALES_TAX_PCT = 7.5;
+export const BASE_BROKER_FEE_PCT = 3;
+
+// Athanor/Tatara moon drill output without rigs: chunk m³ per hour of extraction.
+export const MOON_CHUNK_M3_PER_HOUR = 30000;
+
+export function clamp(n, lo, hi) {
+  return Math.min(hi, Math.max(lo, n));
+}
+
+// ---------------------------
+// Bundled type data (offline name search / resolution)
+// ---------------------------
+const BUNDLED_BY_ID = new Map(BUNDLED_TYPES.map((t) => [t.typeId, t]));
+const ICE_GROUP_ID = 465;
+const MINERAL_GROUP_ID = 18;
+const ICE_PRODUCT_GROUP_ID = 423;
+
+// Bundled entry -> the same shape parseTypeData returns, or null if the type isn't bundled.
+export function bundledTypeData(typeId) {
+  const t = BUNDLED_BY_ID.get(Number(typeId));
+  if (!t) return null;
+  const typeMaterials = {};
+  for (const [id, quantity] of Object.entries(t.materials || {})) {
+    typeMaterials[id] = { material_type_id: Number(id), quantity };
+  }
+  return {
+    typeId: t.typeId,
+    name: t.name,
+    volume: t.volume,
+    portionSize: t.portionSize,
+    typeMaterials,
+    groupId: t.groupId,
+    categoryId: BUNDLED_GROUPS[t.groupId]?.categoryId ?? null,
+  };
+}
+
+const normName = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// Optimal string alignment distance: Levenshtein plus swapped neighbours ("veldpsar").
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// How well a typed query matches a type name, 0 = not at all:
+// 100 exact, 90 prefix, 80 word prefix ("ochre"), 70 substring, 50-35 one or two typos.
+// Case, spaces and punctuation are ignored ("fullerite c50").
+export function matchScore(query, name) {
+  const q = normName(query);
+  const n = normName(name);
+  if (!q || !n) return 0;
+  if (n === q) return 100;
+  if (n.startsWith(q)) return 90;
+  const starts = [0];
+  for (let i = 1; i < n.length; i++) if (n[i - 1] === " ") starts.push(i);
+  if (starts.some((i) => n.startsWith(q, i))) return 80;
+  if (n.includes(q)) return 70;
+
+  const allowed = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+  if (!allowed) return 0;
+  // Typos: compare against the same length from each word start; the first word ranks higher.
+  let best = 0;
+  for (const i of starts) {
+    for (const len of [q.length - 1, q.length, q.length + 1]) {
+      const d = editDistance(q, n.slice(i, i + len));
+      if (d <= allowed) best = Math.max(best, 60 - 10 * d - (i > 0 ? 5 : 0));
+    }
+  }
+  return best;
+}
+
+// Best matches for a query, shortest name first on ties (Veldspar before Compressed Veldspar).
+// `types` is any list of { name } (defaults to the bundled types).
+export function searchTypes(query, { types = BUNDLED_TYPES, limit = 8 } = {}) {
+  return types
+    .map((t) => ({ ...t, score: matchScore(query, t.name) }))
+    .filter((t) => t.score > 0)
+    .sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+// Bundled type ID for a name: an exact match, else the single best prefix/substring match
+// (or typo match with `typos`). Ambiguous queries ("fullerite") return null.
+export function resolveBundledTypeId(name, { typos = false } = {}) {
+  if (normName(name).length < 3) return null;
+  const [top, next] = searchTypes(name, { limit: 2 });
+  if (!top || top.score < (typos ? 35 : 70)) return null;
+  if (top.score === 100 || !next || next.score < top.score) return top.typeId;
+  return null;
+}
+
+// Ore families: a group whose base ore shares its name (Veldspar group -> Veldspar, Concentrated,
+// Dense, Stable Veldspar). Grade = % more reprocessing output than the base ore, snapped to the
+// game's 5% steps (integer material counts put Pyroxeres' +5% grade at +6%); compressed forms
+// are left out (they follow their raw grade).
+const GRADE_STEP_PCT = 5;
+const materialSum = (t) => Object.values(t.materials || {}).reduce((a, b) => a + b, 0);
+export const ORE_FAMILIES = Object.entries(BUNDLED_GROUPS)
+  .map(([groupId, g]) => {
+    const members = BUNDLED_TYPES.filter((t) => t.groupId === Number(groupId) && !/^compressed /i.test(t.name));
+    const base = members.find((t) => t.name === g.name);
+    if (!base) return null;
+    const types = members
+      .map((t) => ({ typeId: t.typeId, name: t.name, grade: Math.round((materialSum(t) / materialSum(base) - 1) * 100 / GRADE_STEP_PCT) * GRADE_STEP_PCT }))
+      .sort((a, b) => a.grade - b.grade);
+    return { groupId: Number(groupId), name: g.name, types };
+  })
+  .filter(Boolean);
+
+// { groupId, name (family), grade } for a bundled ore or its compressed form, else null.
+export function oreFamilyOf(typeId) {
+  const t = BUNDLED_BY_ID.get(Number(typeId));
+  const family = t && ORE_FAMILIES.find((f) => f.groupId === t.groupId);
+  if (!family) return null;
+  const rawName = t.name.replace(/^compressed /i, "");
+  const grade = family.types.find((x) => x.name === rawName)?.grade ?? null;
+  return { groupId: family.groupId, name: family.name, grade };
+}
+
+// "Veldspar family" (or "veld family") -> the family, else null.
+export function resolveOreFamily(text) {
+  const m = String(text || "").trim().match(/^(.+?)\s+family$/i);
+  if (!m) return null;
+  const [top, next] = searchTypes(m[1], { types: ORE_FAMILIES, limit: 2 });
+  if (!top || top.score < 35 || (top.score !== 100 && next?.score === top.score)) return null;
+  return ORE_FAMILIES.find((f) => f.groupId === top.groupId);
+}
+
+// ---------------------------
+// Data providers
+// ---------------------------
+// calculateHarvest reads everything through a provider, any object with:
+//   resolveTypeId(name)                               -> type ID or null
+//   getTypeData(typeId)                               -> { typeId, name, volume, portionSize, typeMaterials, groupId, categoryId }
+//   getNames(typeIds)                                 -> Map typeId -> name
+//   getPrices(typeIds, { hub, source, onProgress })   -> Map typeId -> { sellMin, buyMax, sellPct, buyPct, sellAvg, buyAvg }
+//   getOrderBooks(typeIds, { hub, onProgress })       -> Map typeId -> [{ price, volume, isBuy }]  (depth mode)
+//   getHistory(typeIds, { hub, onProgress })          -> Map typeId -> ESI history rows            (history)
+//   getAdjustedPrices()                               -> Map typeId -> adjusted price (EIV)         (reprocessing tax)
+//   getBlueprint(blueprintTypeId)                     -> parseBlueprint result                      (build goals)
+
+// Positive price or null (Fuzzwork sends numbers as strings).
+export function priceOrNull(v) {
+  const n = Number(v ?? 0);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function typeIdList(typeIds) {
+  return Array.from(new Set(typeIds.map((x) => Number(x)).filter((x) => Number.isFinite(x) && x > 0)));
+}
+
+// EVE Ref type JSON -> the fields we use.
+export function parseTypeData(data, typeId = data?.type_id) {
+  return {
+    typeId: data.type_id,
+    name: data?.name?.en ?? `Type ${typeId}`,
+    volume: data.volume,
+    portionSize: data.portion_size ?? 1,
+    typeMaterials: data.type_materials || {}, // { materialTypeId: {material_type_id, quantity}, ... }
+    groupId: data.group_id ?? null,
+    categoryId: data.category_id ?? null,
+    // Blueprints that manufacture this type (EVE Ref produced_by_blueprints).
+    blueprintIds: Object.values(data.produced_by_blueprints || {})
+      .filter((b) => !b?.blueprint_activity || b.blueprint_activity === "manufacturing")
+      .map((b) => Number(b.blueprint_type_id))
+      .filter((id) => id > 0),
+  };
+}
+
+// EVE Ref blueprint JSON -> { blueprintTypeId, materials: [{ typeId, quantity }], products: [{ typeId, quantity }] }
+// for the manufacturing activity. Throws for blueprints that can't manufacture anything.
+export function parseBlueprint(data, blueprintTypeId = data?.blueprint_type_id) {
+  const job = data?.activities?.manufacturing;
+  if (!job) throw new Error(`Blueprint ${blueprintTypeId} has no manufacturing activity.`);
+  const list = (v) => Object.values(v || {})
+    .map((m) => ({ typeId: Number(m?.type_id ?? m?.material_type_id), quantity: Number(m?.quantity) || 0 }))
+    .filter((m) => m.typeId > 0 && m.quantity > 0);
+  return { blueprintTypeId: Number(blueprintTypeId), materials: list(job.materials), products: list(job.products) };
+}
+
+// Fuzzwork aggregates response -> typeId -> { sellMin, buyMax, sellPct, buyPct, sellAvg, buyAvg, raw }
+// (Pct = Fuzzwork 5th percentile, Avg = volume-weighted average.)
+export function parseFuzzworkAggregates(data, typeIds) {
+  const out = new Map();
+  for (const id of typeIds) {
+    const rec = data?.[String(id)];
+    out.set(id, {
+      sellMin: priceOrNull(rec?.sell?.min),
+      buyMax: priceOrNull(rec?.buy?.max),
+      sellPct: priceOrNull(rec?.sell?.percentile),
+      buyPct: priceOrNull(rec?.buy?.percentile),
+      sellAvg: priceOrNull(rec?.sell?.weightedAverage),
+      buyAvg: priceOrNull(rec?.buy?.weightedAverage),
+      raw: rec ?? null,
+    });
+  }
+  return out;
+}
+
+// ESI /markets/prices response ([{ type_id, adjusted_price, average_price }]) -> typeId -> adjusted price.
+// The adjusted price is the game's estimated item value (EIV), which reprocessing tax is charged on.
+export function parseAdjustedPrices(data) {
+  if (!Array.isArray(data)) throw new Error("Expected the ESI /markets/prices/ response (a JSON array).");
+  const out = new Map();
+  for (const rec of data) {
+    const id = Number(rec?.type_id);
+    const price = priceOrNull(rec?.adjusted_price);
+    if (id > 0 && price !== null) out.set(id, price);
+  }
+  return out;
+}
+
+// Raw ESI orders -> live orders at the hub station. Orders without a location (hand-written fixtures) are kept.
+export function parseHubOrders(orders, hub = DEFAULT_HUB) {
+  const out = [];
+  for (const o of Array.isArray(orders) ? orders : []) {
+    const price = Number(o?.price);
+    const atHub = o?.location_id === undefined || o.location_id === hub.stationId;
+    if (atHub && (o?.volume_remain ?? 0) > 0 && Number.isFinite(price)) {
+      out.push({ price, volume: Number(o.volume_remain), isBuy: Boolean(o.is_buy_order) });
+    }
+  }
+  return out;
+}
+
+// ESI /universe/names response -> typeId -> name.
+function parseNames(arr, category = "inventory_type") {
+  const out = new Map();
+  if (Array.isArray(arr)) {
+    for (const rec of arr) {
+      if (rec?.category === category && Number.isFinite(Number(rec.id))) {
+        out.set(Number(rec.id), String(rec.name));
+      }
+    }
+  }
+  return out;
+}
+
+// Orders -> the same record shape parseFuzzworkAggregates returns.
+// Percentile follows Fuzzwork: weighted average of the best 5% of volume.
+export function aggregateOrders(orders) {
+  const side = (list, best) => {
+    const sorted = list.slice().sort((a, b) => (best === "min" ? a.price - b.price : b.price - a.price));
+    const volume = sorted.reduce((acc, o) => acc + o.volume, 0);
+    if (!(volume > 0)) return { top: null, pct: null, avg: null };
+
+    const avg = sorted.reduce((acc, o) => acc + o.price * o.volume, 0) / volume;
+    const cut = volume * 0.05;
+    let taken = 0;
+    let value = 0;
+    for (const o of sorted) {
+      const q = Math.min(o.volume, cut - taken);
+      if (q <= 0) break;
+      taken += q;
+      value += q * o.price;
+    }
+    return { top: sorted[0].price, pct: taken > 0 ? value / taken : null, avg };
+  };
+
+  const sell = side(orders.filter((o) => !o.isBuy), "min");
+  const buy = side(orders.filter((o) => o.isBuy), "max");
+  return {
+    sellMin: sell.top,
+    buyMax: buy.top,
+    sellPct: sell.pct,
+    buyPct: buy.pct,
+    sellAvg: sell.avg,
+    buyAvg: buy.avg,
+    raw: null,
+  };
+}
+
+// Order books -> price map.
+export function pricesFromOrderBooks(books) {
+  const out = new Map();
+  for (const [id, orders] of books) out.set(id, aggregateOrders(orders));
+  return out;
+}
+
+async function plainFetchJson(fetchImpl, url) {
+  const res = await fetchImpl(url, { headers: { "Accept": "application/json" } });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  return res.json();
+}
+
+async function plainPostJson(fetchImpl, url, body, { label = url } = {}) {
+  const res = await fetchImpl(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Accept": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`${label} failed: HTTP ${res.status}`);
+  return res.json();
+}
+
+// Live data from EVE Ref, Fuzzwork and ESI. The browser passes its caching fetchJson / postJson /
+// cachedFetch (IndexedDB); the defaults just hit the network. `esiBase` and `refBase` may be functions.
+export function createHttpProvider({
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  fetchJson = (url) => plainFetchJson(fetchImpl, url),
+  postJson = (url, body, opts) => plainPostJson(fetchImpl, url, body, opts),
+  cachedFetch = (key, load) => load(),
+  esiBase = ESI_BASE,
+  refBase = REF_BASE,
+} = {}) {
+  const esi = () => (typeof esiBase === "function" ? esiBase() : esiBase) || ESI_BASE;
+  const ref = () => (typeof refBase === "function" ? refBase() : refBase) || REF_BASE;
+
+  // Bundled names first (no network, forgiving spelling); anything else goes to ESI, which
+  // requires exact name matches. Typo matches are only used when ESI has nothing (or is unreachable).
+  async function resolveTypeId(name) {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) return null;
+    const bundled = resolveBundledTypeId(trimmed);
+    if (bundled) return bundled;
+
+    let inv;
+    try {
+      const url = `${esi()}/universe/ids/?datasource=tranquility`;
+      // Names don't change: cache for 30 days.
+      const data = await postJson(url, [trimmed], { ttlMs: 30 * 24 * 60 * 60 * 1000, label: "ESI /universe/ids" });
+      inv = data?.inventory_types || [];
+    } catch (err) {
+      const typo = resolveBundledTypeId(trimmed, { typos: true });
+      if (typo) return typo;
+      throw err;
+    }
+    if (!Array.isArray(inv) || inv.length === 0) return resolveBundledTypeId(trimmed, { typos: true });
+
+    const lower = trimmed.toLowerCase();
+    const exact = inv.find((x) => String(x.name || "").toLowerCase() === lower);
+    return (exact || inv[0]).id ?? null;
+  }
+
+  // EVE Ref first (it tracks game patches); the bundled copy covers offline use.
+  async function getTypeData(typeId) {
+    const id = Number(typeId);
+    if (!Number.isFinite(id) || id <= 0) throw new Error("Invalid type ID.");
+    const url = `${ref()}/types/${id}`;
+    try {
+      // Type data is mostly static: cache for 7 days.
+      return parseTypeData(await fetchJson(url, { ttlMs: 7 * 24 * 60 * 60 * 1000 }), id);
+    } catch (err) {
+      const bundled = bundledTypeData(id);
+      if (bundled) return bundled;
+      throw err;
+    }
+  }
+
+  async function getNames(typeIds) {
+    const ids = typeIdList(typeIds);
+    const out = new Map();
+    const missing = [];
+    for (const id of ids) {
+      if (BUNDLED_BY_ID.has(id)) out.set(id, BUNDLED_BY_ID.get(id).name);
+      else missing.push(id);
+    }
+    if (missing.length === 0) return out;
+    // ESI /universe/names supports bulk resolution.
+    const url = `${esi()}/universe/names/?datasource=tranquility`;
+    for (const [id, name] of parseNames(await postJson(url, missing, { ttlMs: 30 * 24 * 60 * 60 * 1000, label: "ESI universe/names" }))) {
+      out.set(id, name);
+    }
+    return out;
+  }
+
+  async function getSystemNames(systemIds) {
+    const ids = typeIdList(systemIds);
+    if (ids.length === 0) return new Map();
+    const url = `${esi()}/universe/names/?datasource=tranquility`;
+    return parseNames(await postJson(url, ids, { ttlMs: 30 * 24 * 60 * 60 * 1000, label: "ESI universe/names" }), "solar_system");
+  }
+
+  async function getFuzzworkPrices(typeIds, hub = DEFAULT_HUB) {
+    const ids = typeIdList(typeIds);
+    if (ids.length === 0) return new Map();
+
+    const url = `https://market.fuzzwork.co.uk/aggregates/?station=${hub.stationId}&types=${ids.join(",")}`;
+    // Market snapshots update ~30 minutes; cache for 5 minutes to be gentle.
+    return parseFuzzworkAggregates(await fetchJson(url, { ttlMs: 5 * 60 * 1000, priced: true }), ids);
+  }
+
+  // Every live order for a type at the hub station. This can require paging through many
+  // results; we limit pages for safety. Always live; the filtered book is kept as last-known-good.
+  async function getHubOrders(typeId, { hub = DEFAULT_HUB, orderType = "all", maxPages = 25, onProgress = null } = {}) {
+    const id = Number(typeId);
+    if (!Number.isFinite(id) || id <= 0) return [];
+
+    const key = `orders:${hub.regionId}:${hub.stationId}:${orderType}:${id}`;
+    return cachedFetch(key, async () => {
+      const out = [];
+      let pages = 1;
+
+      for (let page = 1; page <= pages && page <= maxPages; page++) {
+        if (typeof onProgress === "function") onProgress({ typeId: id, page, pages, limited: pages > maxPages });
+
+        const url = `${esi()}/markets/${hub.regionId}/orders/?datasource=tranquility&order_type=${orderType}&type_id=${id}&page=${page}`;
+        const res = await fetchImpl(url, { headers: { "Accept": "application/json" } });
+        if (!res.ok) throw new Error(`ESI market orders failed: HTTP ${res.status} for type ${id}`);
+
+        const pageCount = res.headers.get("x-pages");
+        if (pageCount) {
+          const p = Number(pageCount);
+          if (Number.isFinite(p) && p >= 1) pages = p;
+        }
+
+        out.push(...parseHubOrders(await res.json(), hub));
+      }
+
+      return out;
+    }, { priced: true });
+  }
+
+  // Full hub order books for multiple types, sequentially (with progress).
+  async function getOrderBooks(typeIds, { hub = DEFAULT_HUB, onProgress = null } = {}) {
+    const ids = typeIdList(typeIds);
+    const out = new Map();
+    let done = 0;
+
+    for (const id of ids) {
+      const orders = await getHubOrders(id, {
+        hub,
+        maxPages: 25,
+        onProgress: (p) => {
+          if (typeof onProgress === "function") {
+            onProgress({ ...p, done, total: ids.length });
+          }
+        },
+      });
+      out.set(id, orders);
+      done++;
+      if (typeof onProgress === "function") onProgress({ typeId: id, done, total: ids.length, stage: "doneOne" });
+    }
+
+    return out;
+  }
+
+  async function getPrices(typeIds, { hub = DEFAULT_HUB, source = "fuzzwork", onProgress = null } = {}) {
+    if (source === "esi") return pricesFromOrderBooks(await getOrderBooks(typeIds, { hub, onProgress }));
+    return getFuzzworkPrices(typeIds, hub);
+  }
+
+  // Daily region history (ESI updates it once a day, so cache for 6 hours).
+  async function getHistory(typeIds, { hub = DEFAULT_HUB, onProgress = null } = {}) {
+    const ids = typeIdList(typeIds);
+    const out = new Map();
+    let done = 0;
+
+    for (const id of ids) {
+      const url = `${esi()}/markets/${hub.regionId}/history/?datasource=tranquility&type_id=${id}`;
+      const data = await fetchJson(url, { ttlMs: 6 * 60 * 60 * 1000 });
+      out.set(id, Array.isArray(data) ? data : []);
+      done++;
+      if (typeof onProgress === "function") onProgress({ typeId: id, done, total: ids.length });
+    }
+
+    return out;
+  }
+
+  async function getBlueprint(blueprintTypeId) {
+    const id = Number(blueprintTypeId);
+    if (!Number.isFinite(id) || id <= 0) throw new Error("Invalid blueprint type ID.");
+    return parseBlueprint(await fetchJson(`${ref()}/blueprints/${id}`, { ttlMs: 7 * 24 * 60 * 60 * 1000 }), id);
+  }
+
+  // Every type's adjusted price in one call (ESI refreshes it about once an hour).
+  async function getAdjustedPrices() {
+    const url = `${esi()}/markets/prices/?datasource=tranquility`;
+    return parseAdjustedPrices(await fetchJson(url, { ttlMs: 60 * 60 * 1000 }));
+  }
+
+  // Same type list priced at every main hub (Fuzzwork). Returns hubId -> price map.
+  async function getPricesAllHubs(typeIds) {
+    const out = new Map();
+    for (const hub of MARKET_HUBS) {
+      out.set(hub.id, await getFuzzworkPrices(typeIds, hub));
+    }
+    return out;
+  }
+
+  return { resolveTypeId, getTypeData, getNames, getSystemNames, getPrices, getOrderBooks, getHistory, getAdjustedPrices, getBlueprint, getFuzzworkPrices, getPricesAllHubs };
+}
+
+// Saved API responses instead of the network (tests, bots, offline scripts):
+//   types:   { typeId: EVE Ref type JSON }
+//   names:   { "Veldspar": 1230 }             optional, type names are always known
+//   prices:  Fuzzwork aggregates response     ({ typeId: { buy, sell } })
+//   orders:  { typeId: ESI market orders }    depth mode; also prices when `prices` is missing
+//   history: { typeId: ESI market history }
+//   systems: { systemId: "Jita" }              optional, for mining ledgers
+//   adjustedPrices: ESI /markets/prices response  optional, for the reprocessing tax
+//   blueprints: { blueprintTypeId: EVE Ref blueprint JSON }  optional, for build goals
+// Fixtures describe one hub, so the hub argument is only used to filter order locations.
+export function createFixtureProvider({ types = {}, names = {}, prices = null, orders = {}, history = {}, systems = {}, adjustedPrices = null, blueprints = {} } = {}) {
+  const byId = new Map(Object.entries(types).map(([id, t]) => [Number(t?.type_id ?? id), t]));
+  const idByName = new Map();
+  for (const [id, t] of byId) if (t?.name?.en) idByName.set(String(t.name.en).toLowerCase(), id);
+  for (const [name, id] of Object.entries(names)) idByName.set(name.toLowerCase(), Number(id));
+
+  const ordersFor = (id, hub) => parseHubOrders(orders[String(id)], hub);
+
+  return {
+    // Fixture names first, then the bundled names (same loose matching as the live provider).
+    async resolveTypeId(name) {
+      return idByName.get(String(name || "").trim().toLowerCase()) ?? resolveBundledTypeId(name, { typos: true });
+    },
+    // Fixture records first, then the bundled type data (as the live provider does offline).
+    async getTypeData(typeId) {
+      const id = Number(typeId);
+      const data = byId.get(id);
+      if (data) return parseTypeData(data, id);
+      const bundled = bundledTypeData(id);
+      if (!bundled) throw new Error(`No fixture for type ${id}.`);
+      return bundled;
+    },
+    async getNames(typeIds) {
+      const out = new Map();
+      for (const id of typeIdList(typeIds)) {
+        const name = byId.get(id)?.name?.en ?? Object.keys(names).find((n) => Number(names[n]) === id) ?? BUNDLED_BY_ID.get(id)?.name;
+        if (name) out.set(id, name);
+      }
+      return out;
+    },
+    async getSystemNames(systemIds) {
+      return new Map(typeIdList(systemIds).filter((id) => systems[String(id)]).map((id) => [id, String(systems[String(id)])]));
+    },
+    async getPrices(typeIds, { hub = DEFAULT_HUB } = {}) {
+      const ids = typeIdList(typeIds);
+      if (prices) return parseFuzzworkAggregates(prices, ids);
+      return new Map(ids.map((id) => [id, aggregateOrders(ordersFor(id, hub))]));
+    },
+    async getOrderBooks(typeIds, { hub = DEFAULT_HUB } = {}) {
+      return new Map(typeIdList(typeIds).map((id) => [id, ordersFor(id, hub)]));
+    },
+    async getHistory(typeIds) {
+      return new Map(typeIdList(typeIds).map((id) => [id, Array.isArray(history[String(id)]) ? history[String(id)] : []]));
+    },
+    async getAdjustedPrices() {
+      return adjustedPrices ? parseAdjustedPrices(adjustedPrices) : new Map();
+    },
+    async getBlueprint(blueprintTypeId) {
+      const id = Number(blueprintTypeId);
+      if (!blueprints[String(id)]) throw new Error(`No fixture for blueprint ${id}.`);
+      return parseBlueprint(blueprints[String(id)], id);
+    },
+  };
+}
+
+// Type data for the compressed form of an ore/ice, or null if there isn't one.
+export async function getCompressedTypeData(provider, typeData) {
+  const name = compressedNameFor(typeData.name);
+  if (!name) return null;
+  try {
+    const id = await provider.resolveTypeId(name);
+    return id ? await provider.getTypeData(id) : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------
+// Calculation
+// ---------------------------
+export function calcCycles(durationMinutes, cycleTimeSeconds) {
+  const totalSeconds = Math.max(0, durationMinutes * 60);
+  const cycles = cycleTimeSeconds > 0 ? Math.floor(totalSeconds / cycleTimeSeconds) : 0;
+  const usedSeconds = cycles * cycleTimeSeconds;
+  const leftoverSeconds = totalSeconds - usedSeconds;
+  return { totalSeconds, cycles, usedSeconds, leftoverSeconds };
+}
+
+// Hold-limited session built on calcCycles: mine full cycles until the hold is full
+// (the last cycle is cut short at the hold limit), then lose the unload trip and go again.
+// With a hauler servicing, we only wait when its round trip outlasts our next fill.
+export function calcHaulPlan({ durationMinutes, cycleTimeSeconds, yieldPerCycle, holdM3 = 0, tripSeconds = 0, hauled = false }) {
+  const base = calcCycles(durationMinutes, cycleTimeSeconds);
+  if (!(holdM3 > 0) || !(yieldPerCycle > 0)) {
+    return { ...base, minedM3: base.cycles * yieldPerCycle, trips: 0, lostSeconds: 0, timeToFullSeconds: null, holdLimited: false };
+  }
+
+  const cyclesPerLoad = Math.max(1, Math.ceil(holdM3 / yieldPerCycle - 1e-9));
+  const timeToFullSeconds = cyclesPerLoad * cycleTimeSeconds;
+  const trip = Math.max(0, Number(tripSeconds) || 0);
+  const stallSeconds = hauled ? Math.max(0, trip - timeToFullSeconds) : trip;
+
+  let remaining = base.totalSeconds;
+  let cycles = 0;
+  let minedM3 = 0;
+  let trips = 0;
+  let lostSeconds = 0;
+
+  while (remaining > 0) {
+    const run = calcCycles(remaining / 60, cycleTimeSeconds);
+    const c = Math.min(run.cycles, cyclesPerLoad);
+    if (c <= 0) break;
+
+    cycles += c;
+    minedM3 += Math.min(holdM3, c * yieldPerCycle);
+    remaining -= c * cycleTimeSeconds;
+    if (c < cyclesPerLoad) break; // session ended before the hold filled
+
+    trips++;
+    const stall = Math.min(remaining, stallSeconds);
+    lostSeconds += stall;
+    remaining -= stall;
+  }
+
+  const usedSeconds = cycles * cycleTimeSeconds;
+  return {
+    totalSeconds: base.totalSeconds,
+    cycles,
+    usedSeconds,
+    leftoverSeconds: Math.max(0, base.totalSeconds - usedSeconds - lostSeconds),
+    minedM3,
+    trips,
+    lostSeconds,
+    timeToFullSeconds,
+    holdLimited: true,
+  };
+}
+
+// Crits and residue as expected-value factors on the per-cycle yield.
+// A crit adds critBonus × yield; residue destroys residueMult × yield from the rock.
+export function calcCritResidue({ critChancePct = 0, critBonusPct = 0, residueChancePct = 0, residueMult = 0 } = {}) {
+  const critChance = clamp(Number(critChancePct) || 0, 0, 100) / 100;
+  const critBonus = Math.max(0, Number(critBonusPct) || 0) / 100;
+  const residueChance = clamp(Number(residueChancePct) || 0, 0, 100) / 100;
+  const mult = Math.max(0, Number(residueMult) || 0);
+  return {
+    critChance,
+    critBonus,
+    residueChance,
+    residueMult: mult,
+    yieldFactor: 1 + critChance * critBonus,
+    wasteFactor: residueChance * mult,
+    active: critChance * critBonus > 0 || residueChance * mult > 0,
+  };
+}
+
+// Fleet = several harvesters, each rounded down to its own full cycles.
+// Returns per-ship totals plus the fleet m³ and m³/hour (sum of each fit's rate).
+// With `mods` (calcCritResidue) the m³ figures are expected values.
+// With `hauling` ({ tripSeconds, hauled }) ships that have a `holdM3` stop to unload,
+// and m³/hour counts the time lost to trips.
+export function calcFleet(durationMinutes, harvesters, mods = null, hauling = null) {
+  const yieldFactor = mods?.yieldFactor ?? 1;
+  const wasteFactor = mods?.wasteFactor ?? 0;
+
+  const ships = harvesters.map((h) => {
+    const info = calcHaulPlan({
+      durationMinutes,
+      cycleTimeSeconds: h.cycleTimeSeconds,
+      yieldPerCycle: h.yieldPerCycle * yieldFactor,
+      holdM3: hauling ? h.holdM3 : 0,
+      tripSeconds: hauling?.tripSeconds,
+      hauled: hauling?.hauled,
+    });
+    const m3 = info.minedM3 * h.count;
+    const wastedM3 = info.cycles * h.yieldPerCycle * h.count * wasteFactor;
+    const activeSeconds = info.usedSeconds + info.lostSeconds;
+    const m3PerHour = activeSeconds > 0 ? (m3 / activeSeconds) * 3600 : 0;
+    return { ...h, ...info, m3, wastedM3, m3PerHour };
+  });
+
+  const totalM3 = ships.reduce((acc, s) => acc + s.m3, 0);
+  const m3PerHour = ships.reduce((acc, s) => acc + s.m3PerHour, 0);
+  return {
+    ships,
+    totalM3,
+    m3PerHour,
+    // Scales a session total to ISK (or units) per hour for the whole fleet.
+    perHourFactor: totalM3 > 0 ? m3PerHour / totalM3 : 0,
+    shipCount: ships.reduce((acc, s) => acc + s.count, 0),
+    shipCycles: ships.reduce((acc, s) => acc + s.cycles * s.count, 0),
+    wastedM3: ships.reduce((acc, s) => acc + s.wastedM3, 0),
+  };
+}
+
+// Small seeded PRNG (mulberry32) so a given seed always gives the same spread.
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Nearest-rank percentile of an ascending array.
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = clamp(Math.ceil(p * sorted.length) - 1, 0, sorted.length - 1);
+  return sorted[idx];
+}
+
+// Rolls every ship-cycle of the session `runs` times.
+// Returns P10/P50/P90 of collected and wasted m³ for the whole fleet.
+export function simulateFleetYield(fleet, mods, { runs = 1000, seed = 1 } = {}) {
+  const rand = mulberry32(seed);
+  const collected = [];
+  const wasted = [];
+
+  for (let run = 0; run < runs; run++) {
+    let m3 = 0;
+    let waste = 0;
+    for (const s of fleet.ships) {
+      const n = s.cycles * s.count;
+      for (let i = 0; i < n; i++) {
+        m3 += s.yieldPerCycle;
+        if (rand() < mods.critChance) m3 += s.yieldPerCycle * mods.critBonus;
+        if (rand() < mods.residueChance) waste += s.yieldPerCycle * mods.residueMult;
+      }
+    }
+    collected.push(m3);
+    wasted.push(waste);
+  }
+
+  collected.sort((a, b) => a - b);
+  wasted.sort((a, b) => a - b);
+  const pick = (arr) => ({ p10: percentile(arr, 0.1), p50: percentile(arr, 0.5), p90: percentile(arr, 0.9) });
+  return { runs, seed, collected: pick(collected), wasted: pick(wasted) };
+}
+
+// Fitting builder: hull + modules + crystal + upgrades + skills + boosts -> one harvester.
+// Ore modules get the yield bonuses, ice modules only the cycle time ones (ice is 1 unit per cycle).
+export function calcFitting(fit) {
+  const hull = HULLS.find((h) => h.id === fit.hullId);
+  const mod = MINING_MODULES.find((m) => m.id === fit.moduleId);
+  if (!hull || !mod) return null;
+
+  const lvl = (n) => clamp(Math.floor(Number(n) || 0), 0, 5);
+  const ore = mod.kind === "ore";
+  const count = Math.max(1, Math.floor(Number(fit.moduleCount) || 1));
+
+  const crystal = mod.crystals ? CRYSTALS.find((c) => c.id === fit.crystalId) : null;
+  const upgrade = UPGRADES.find((u) => u.id === fit.upgradeId);
+  const upgrades = upgrade && upgrade.kind === mod.kind ? Math.max(0, Math.floor(Number(fit.upgradeCount) || 0)) : 0;
+
+  const boost = BOOSTS.find((b) => b.id === fit.boostId);
+  const boostBonus = boost?.cycleBonus ?? clamp(Number(fit.boostPct) || 0, 0, 100) / 100;
+
+  let moduleYield = mod.yieldM3;
+  if (ore) {
+    moduleYield *= (1 + hull.roleYield)
+      * (1 + hull.yieldPerLevel * lvl(fit.skillHull))
+      * (1 + SKILL_BONUSES.mining * lvl(fit.skillMining))
+      * (1 + SKILL_BONUSES.astrogeology * lvl(fit.skillAstro))
+      * (crystal?.yieldMult ?? 1)
+      * Math.pow(1 + (upgrade?.bonus ?? 0), upgrades);
+  }
+
+  // Mining frigates only speed up gas harvesters; barges use their normal cycle bonus.
+  const cyclePerLevel = mod.kind === "gas" ? hull.gasCyclePerLevel ?? hull.cyclePerLevel : hull.cyclePerLevel;
+  let cycle = mod.cycleSeconds
+    * (1 - cyclePerLevel * lvl(fit.skillHull))
+    * (1 - boostBonus);
+  if (mod.kind === "ice") {
+    cycle *= (1 - SKILL_BONUSES.iceHarvesting * lvl(fit.skillIce))
+      * Math.pow(1 - (upgrade?.bonus ?? 0), upgrades);
+  }
+
+  return {
+    hull,
+    module: mod,
+    moduleCount: count,
+    moduleYield,
+    yieldPerCycle: Math.round(moduleYield * count * 100) / 100,
+    cycleTimeSeconds: Math.round(cycle * 100) / 100,
+    critChance: mod.critChance,
+    critBonus: mod.critBonus,
+    residueChance: crystal?.residueChance ?? 0,
+    residueMult: crystal?.residueMult ?? 0,
+    oreHoldM3: hull.oreHoldM3,
+  };
+}
+
+export function calcUnitsMined(volumeM3, unitVolumeM3) {
+  if (!(unitVolumeM3 > 0)) return 0;
+  // Avoid floating point edge cases
+  return Math.floor(volumeM3 / unitVolumeM3 + 1e-9);
+}
+
+// In-game sales tax and NPC broker fee formulas. A player structure sets its own broker fee.
+export function calcMarketFees({ accounting = 0, brokerRelations = 0, factionStanding = 0, corpStanding = 0, structureBrokerPct = null } = {}) {
+  const lvl = (n) => clamp(Math.floor(Number(n) || 0), 0, 5);
+  const standing = (n) => clamp(Number(n) || 0, -10, 10);
+
+  const salesTaxPct = BASE_SALES_TAX_PCT * (1 - 0.11 * lvl(accounting));
+  const npcBrokerPct = BASE_BROKER_FEE_PCT
+    - 0.3 * lvl(brokerRelations)
+    - 0.03 * standing(factionStanding)
+    - 0.02 * standing(corpStanding);
+  const brokerFeePct = structureBrokerPct !== null && Number.isFinite(structureBrokerPct)
+    ? Math.max(0, structureBrokerPct)
+    : Math.max(0, npcBrokerPct);
+
+  return { salesTaxPct, brokerFeePct, structure: structureBrokerPct !== null };
+}
+
+// Fee % for one sale path: selling into buy orders pays sales tax only, listing adds the broker fee.
+export function saleFeePct(fees, basis) {
+  if (!fees) return 0;
+  return fees.salesTaxPct + (basis.listing ? fees.brokerFeePct : 0);
+}
+
+// Compressed counterpart of an ore/ice name ("Veldspar" -> "Compressed Veldspar").
+export function compressedNameFor(name) {
+  const n = String(name || "").trim();
+  if (!n || /^compressed /i.test(n)) return null;
+  return `Compressed ${n}`;
+}
+
+// Modern compression keeps the unit count (1 ore -> 1 compressed ore); only the volume shrinks.
+export function calcCompression({ units, typeData, compressedTypeData }) {
+  if (!compressedTypeData) return null;
+  const rawM3 = units * (typeData.volume ?? 0);
+  const m3 = units * (compressedTypeData.volume ?? 0);
+  return {
+    typeId: compressedTypeData.typeId,
+    typeData: compressedTypeData,
+    units,
+    m3,
+    rawM3,
+    m3Saved: rawM3 - m3,
+  };
+}
+
+// Volume-weighted 7/30/90-day averages plus the last 30 daily averages for a sparkline.
+// Windows count back from the newest day in the history, not from today.
+export function calcHistoryStats(history) {
+  const days = (history || [])
+    .filter((d) => d && d.date && Number.isFinite(Number(d.average)))
+    .slice()
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  if (days.length === 0) return { avg7: null, avg30: null, avg90: null, series: [] };
+
+  const last = Date.parse(days[days.length - 1].date);
+  const avg = (n) => {
+    const from = last - (n - 1) * 86400000;
+    let value = 0;
+    let volume = 0;
+    for (const d of days) {
+      if (Date.parse(d.date) < from) continue;
+      const v = Math.max(0, Number(d.volume) || 0);
+      value += Number(d.average) * v;
+      volume += v;
+    }
+    return volume > 0 ? value / volume : null;
+  };
+
+  return {
+    avg7: avg(7),
+    avg30: avg(30),
+    avg90: avg(90),
+    series: days.slice(-30).map((d) => Number(d.average)),
+  };
+}
+
+// Live price vs 30-day average; flagged when it's OFF_AVERAGE_PCT or more away.
+export function calcTrend(stats, livePrice) {
+  if (!stats || stats.series.length === 0) return null;
+  const deviationPct = livePrice && stats.avg30 ? (livePrice / stats.avg30 - 1) * 100 : null;
+  return {
+    series: stats.series,
+    avg30: stats.avg30,
+    deviationPct,
+    flagged: deviationPct !== null && Math.abs(deviationPct) >= OFF_AVERAGE_PCT,
+  };
+}
+
+// Sell qty units into a hub order book. Instant selling walks buy orders from the highest bid;
+// listing undercuts sell orders one tick at a time from the cheapest ask. Whatever the book
+// can't absorb is left unfilled (and unvalued).
+export function calcLiquidation(orders, qty, { listing = false } = {}) {
+  const want = Math.max(0, Math.floor(Number(qty) || 0));
+  const book = (orders || [])
+    .filter((o) => o.isBuy !== listing)
+    .sort((a, b) => (listing ? a.price - b.price : b.price - a.price));
+
+  let filled = 0;
+  let value = 0;
+  for (const o of book) {
+    if (filled >= want) break;
+    const q = Math.min(o.volume, want - filled);
+    const price = listing ? Math.max(0.01, o.price - 0.01) : o.price;
+    filled += q;
+    value += q * price;
+  }
+
+  const top = book.length ? book[0].price : null;
+  const vwap = filled > 0 ? value / filled : null;
+  return {
+    qty: want,
+    filled,
+    unfilled: want - filled,
+    // Nothing asked for is worth 0; an empty book for a real quantity is "no market", not worthless.
+    value: want === 0 ? 0 : filled > 0 ? value : null,
+    vwap,
+    top,
+    slippagePct: top && vwap !== null ? (vwap / top - 1) * 100 : null,
+  };
+}
+
+// What `units` of a type reprocess into at yieldPct. Only whole portions reprocess; the remainder is left over.
+export function computeReprocessOutputs({ units, portionSize, typeMaterials, yieldPct }) {
+  const eff = clamp(yieldPct, 0, 100) / 100;
+
+  const ps = Math.max(1, Number(portionSize) || 1);
+  const batches = Math.floor(units / ps + 1e-9);
+
+  const outputs = [];
+  for (const key of Object.keys(typeMaterials || {})) {
+    const rec = typeMaterials[key];
+    const matId = Number(rec?.material_type_id ?? key);
+    const qtyPerPortion = Number(rec?.quantity ?? 0);
+
+    if (!Number.isFinite(matId) || matId <= 0) continue;
+    if (!Number.isFinite(qtyPerPortion) || qtyPerPortion <= 0) continue;
+
+    const qty = Math.floor(batches * qtyPerPortion * eff + 1e-9);
+    outputs.push({ typeId: matId, qty, qtyPerPortion });
+  }
+
+  // Sort by qty desc (nice UX)
+  outputs.sort((a, b) => (b.qty - a.qty) || (a.typeId - b.typeId));
+  return outputs;
+}
+
+// Ore/ice/moon processing skills, their skill type IDs (for ESI imports; Abyssal is matched by name only)
+// and the ore groups each one covers (group IDs as in data/types.js).
+export const PROCESSING_SKILLS = [
+  { id: "simple", name: "Simple Ore Processing", typeId: 60377, groupIds: [462, 460, 459, 458] },
+  { id: "coherent", name: "Coherent Ore Processing", typeId: 60378, groupIds: [469, 457, 456, 455, 454] },
+  { id: "variegated", name: "Variegated Ore Processing", typeId: 60379, groupIds: [467, 453, 452] },
+  { id: "complex", name: "Complex Ore Processing", typeId: 60380, groupIds: [461, 451, 450] },
+  { id: "abyssal", name: "Abyssal Ore Processing", groupIds: [4029, 4030, 4031] }, // Bezdnacine, Rakovene, Talassonite
+  { id: "mercoxit", name: "Mercoxit Ore Processing", typeId: 12189, groupIds: [468] },
+  { id: "ice", name: "Ice Processing", typeId: 18025, groupIds: [465] },
+  { id: "ubiquitous", name: "Ubiquitous Moon Ore Processing", typeId: 46152, groupIds: [1884] },
+  { id: "common", name: "Common Moon Ore Processing", typeId: 46153, groupIds: [1920] },
+  { id: "uncommon", name: "Uncommon Moon Ore Processing", typeId: 46154, groupIds: [1921] },
+  { id: "rare", name: "Rare Moon Ore Processing", typeId: 46155, groupIds: [1922] },
+  { id: "exceptional", name: "Exceptional Moon Ore Processing", typeId: 46156, groupIds: [1923] },
+];
+
+// The processing skill for a type (by its group; bundled data fills in a missing group), or null.
+export function processingSkillFor(typeData) {
+  const groupId = typeData?.groupId ?? BUNDLED_BY_ID.get(Number(typeData?.typeId))?.groupId;
+  return PROCESSING_SKILLS.find((s) => s.groupIds.includes(Number(groupId))) ?? null;
+}
+
+// Effective reprocessing yield (%): (facility base + rig points), × the security modifier when rigged,
+// × 3%/level Reprocessing, 2%/level Reprocessing Efficiency, 2%/level processing skill, × implant; max 100%.
+export function calcReprocessYield({ basePct = 50, rigPts = 0, securityPct = 0, reprocessing = 0, efficiency = 0, processing = 0, implantPct = 0 } = {}) {
+  let y = (basePct + rigPts) / 100;
+  if (rigPts > 0 && securityPct > 0) y *= 1 + securityPct / 100;
+  y *= (1 + 0.03 * reprocessing) * (1 + 0.02 * efficiency) * (1 + 0.02 * processing) * (1 + implantPct / 100);
+  return clamp(y, 0, 1) * 100;
+}
+
+// Yield (%) for one type. With a yield profile ({ basePct, rigPts, securityPct, reprocessing, efficiency,
+// implantPct, skills: { simple: 5, ice: 4, … } }) each type uses its own processing skill; types no skill
+// covers, and every type without a profile, get the flat reprocessYieldPct.
+export function yieldPctFor(typeData, reprocessYieldPct, yieldProfile = null) {
+  const skill = yieldProfile ? processingSkillFor(typeData) : null;
+  if (!skill) return reprocessYieldPct;
+  return calcReprocessYield({ ...yieldProfile, processing: yieldProfile.skills?.[skill.id] ?? yieldProfile.processing ?? 0 });
+}
+
+// ---------------------------
+// Character skills & implants
+// ---------------------------
+// Reads the reprocessing skills and implant out of character exports:
+//   - ESI GET /characters/{id}/skills/ ({ skills: [{ skill_id, active_skill_level }] }) and
+//     GET /characters/{id}/implants/ ([type_id, …]) saved to disk;
+//   - EVEMon / Pyfa XML (<skill typeID="3385" name="Reprocessing" level="5" />);
+//   - plain text, one skill per line ("Reprocessing V", "Reprocessing 5", "Reprocessing (Level 5)").
+// ESI only reports IDs, so a skill without a known type ID can't be read from it (and is left alone).
+export const CHARACTER_SKILLS = [
+  { key: "reprocessing", name: "Reprocessing", typeId: 3385 },
+  { key: "efficiency", name: "Reprocessing Efficiency", typeId: 3389 },
+  ...PROCESSING_SKILLS.map((s) => ({ key: s.id, name: s.name, typeId: s.typeId ?? null })),
+];
+
+// Zainou 'Beancounter' Reprocessing RX-801/802/804: +1/2/4% yield. They share a slot, so only one counts.
+const REPROCESSING_IMPLANTS = [
+  { typeId: 27169, name: "Zainou 'Beancounter' Reprocessing RX-801", pct: 1 },
+  { typeId: 27174, name: "Zainou 'Beancounter' Reprocessing RX-802", pct: 2 },
+  { typeId: 27175, name: "Zainou 'Beancounter' Reprocessing RX-804", pct: 4 },
+];
+
+const ROMAN_LEVELS = { i: 1, ii: 2, iii: 3, iv: 4, v: 5 };
+const SKILLS_BY_NAME_LENGTH = [...CHARACTER_SKILLS].sort((a, b) => b.name.length - a.name.length);
+
+function levelOf(text) {
+  const t = String(text ?? "").trim().toLowerCase();
+  if (/^[0-5]$/.test(t)) return Number(t);
+  return ROMAN_LEVELS[t] ?? null;
+}
+
+// The reprocessing implant named in a line of text, or null.
+function implantInText(text) {
+  const m = String(text || "").match(/\bRX-80([124])\b/i);
+  return m ? REPROCESSING_IMPLANTS.find((i) => i.pct === Number(m[1])) : null;
+}
+
+function parseCharacterJson(data, out) {
+  const ids = Array.isArray(data) && data.every((x) => Number.isInteger(Number(x)) && typeof x !== "object") ? data.map(Number) : null;
+  const skills = Array.isArray(data?.skills) ? data.skills : Array.isArray(data) && data.some((x) => x?.skill_id) ? data : null;
+  const implants = ids ?? (Array.isArray(data?.implants) ? data.implants.map(Number) : null);
+  if (!skills && !implants) throw new Error("Expected an ESI character skills or implants response.");
+
+  out.format = skills ? "ESI skills JSON" : "ESI implants JSON";
+  if (skills) {
+    const byId = new Map(skills.map((s) => [Number(s?.skill_id), s]));
+    out.checked = CHARACTER_SKILLS.filter((s) => s.typeId).map((s) => s.key);
+    for (const s of CHARACTER_SKILLS) {
+      const rec = s.typeId ? byId.get(s.typeId) : null;
+      if (rec) out.levels[s.key] = Math.max(0, Math.min(5, Number(rec.active_skill_level ?? rec.trained_skill_level) || 0));
+    }
+  }
+  if (implants) {
+    out.implants = [];
+    out.implantIds = implants.filter((id) => id > 0);
+    for (const id of out.implantIds) {
+      const known = REPROCESSING_IMPLANTS.find((i) => i.typeId === id);
+      if (known) out.implants.push(known);
+    }
+  }
+}
+
+function parseCharacterXml(text, out) {
+  out.format = "XML skill export";
+  const attr = (tag, name) => tag.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, "i"))?.[1];
+  const tags = text.match(/<skill\b[^>]*>/gi) || [];
+  if (tags.length) out.checked = CHARACTER_SKILLS.map((s) => s.key);
+  for (const tag of tags) {
+    const id = Number(attr(tag, "typeID") ?? attr(tag, "id"));
+    const name = (attr(tag, "name") || "").toLowerCase();
+    const s = CHARACTER_SKILLS.find((x) => (x.typeId && x.typeId === id) || x.name.toLowerCase() === name);
+    const level = levelOf(attr(tag, "level") ?? attr(tag, "activeLevel"));
+    if (s && level !== null) out.levels[s.key] = level;
+  }
+  if (/<implant/i.test(text)) {
+    const implant = implantInText(text);
+    out.implants = implant ? [implant] : [];
+  }
+}
+
+function parseCharacterText(text, out) {
+  out.format = "skill list";
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim().toLowerCase();
+    if (!line) continue;
+    const implant = implantInText(line);
+    if (implant) {
+      out.implants = [...(out.implants || []), implant];
+      continue;
+    }
+    const s = SKILLS_BY_NAME_LENGTH.find((x) => line.startsWith(x.name.toLowerCase()));
+    if (!s) continue;
+    const m = line.slice(s.name.length).match(/^\s*[:=\-–(\t]?\s*(?:level\s*)?([0-5]|iv|v|i{1,3})\b/);
+    if (m) out.levels[s.key] = levelOf(m[1]);
+  }
+  if (Object.keys(out.levels).length) out.checked = CHARACTER_SKILLS.map((s) => s.key);
+}
+
+// One export file -> { format, levels: { reprocessing: 5, simple: 4, … }, checked: [keys the file
+// could report], implants: [{ name, pct }] | null (null = the file says nothing about implants),
+// implantIds: ESI implant type IDs (for looking up names) }. Throws when the file has neither.
+export function parseCharacterExport(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "").trim();
+  const out = { format: null, levels: {}, checked: [], implants: null, implantIds: [] };
+  if (/^[[{]/.test(src)) {
+    let data;
+    try {
+      data = JSON.parse(src);
+    } catch {
+      throw new Error("This looks like JSON but doesn't parse.");
+    }
+    parseCharacterJson(data, out);
+  } else if (src.startsWith("<")) {
+    parseCharacterXml(src, out);
+  } else {
+    parseCharacterText(src, out);
+  }
+  if (out.checked.length === 0 && !out.implants) throw new Error("No skills or implants found.");
+  return out;
+}
+
+// Adds implants whose names come from a lookup (Map typeId -> name), for ESI implant IDs we don't know.
+export function withImplantNames(parsed, names) {
+  const implants = [...(parsed.implants || [])];
+  for (const id of parsed.implantIds || []) {
+    const implant = implantInText(names?.get(id));
+    if (implant && !implants.includes(implant)) implants.push(implant);
+  }
+  return { ...parsed, implants: parsed.implants ? implants : null };
+}
+
+// Merges parsed exports into yield settings. Skills the files could report but don't list are
+// untrained (level 0). Returns { reprocessing?, efficiency?, skills?: { simple: 5, … }, implantPct?,
+// implant, found: [{ name, level }], missing: [names] }; fields a file didn't cover are left out.
+export function characterYieldSettings(exports) {
+  const levels = {};
+  const checked = new Set();
+  let implants = null;
+  for (const e of [].concat(exports)) {
+    Object.assign(levels, e.levels);
+    e.checked.forEach((k) => checked.add(k));
+    if (e.implants) implants = [...(implants || []), ...e.implants];
+  }
+
+  const out = { found: [], missing: [], implant: null };
+  const skills = {};
+  for (const s of CHARACTER_SKILLS) {
+    if (!checked.has(s.key)) continue;
+    const level = levels[s.key] ?? 0;
+    if (levels[s.key] === undefined) out.missing.push(s.name);
+    else out.found.push({ name: s.name, level });
+    if (s.key === "reprocessing" || s.key === "efficiency") out[s.key] = level;
+    else skills[s.key] = level;
+  }
+  if (Object.keys(skills).length) out.skills = skills;
+  if (implants) {
+    out.implant = implants.reduce((best, i) => (!best || i.pct > best.pct ? i : best), null);
+    out.implantPct = out.implant?.pct ?? 0;
+  }
+  return out;
+}
+
+// Unit price for the chosen basis (null when the market has none).
+export function getPrice(priceMap, typeId, basis = DEFAULT_BASIS) {
+  const rec = priceMap?.get(Number(typeId));
+  if (!rec) return null;
+  switch (basis.id) {
+    case "buy": return rec.buyMax ?? null;
+    case "split": return rec.buyMax && rec.sellMin ? (rec.buyMax + rec.sellMin) / 2 : null;
+    case "sell5": return rec.sellPct ?? null;
+    case "buy5": return rec.buyPct ?? null;
+    case "sellAvg": return rec.sellAvg ?? null;
+    case "buyAvg": return rec.buyAvg ?? null;
+    case "avg7": return rec.avg7 ?? null;
+    case "avg30": return rec.avg30 ?? null;
+    case "avg90": return rec.avg90 ?? null;
+    default: return rec.sellMin ?? null;
+  }
+}
+
+// ---------------------------
+// Harvest calculation
+// ---------------------------
+// One calculation, start to finish, from plain inputs:
+//   yieldPerCycle, cycleTimeSeconds, durationMinutes   main ship
+//   harvesters        full fleet incl. the main ship (default: the main ship alone, with holdM3)
+//   materialName      comma-separated names ("Veldspar family" = every grade), or materialTypeId for one type
+//   reprocessYieldPct, reprocessTaxPct
+//   adjustedPrices    Map typeId -> EIV for the reprocessing tax (default: provider.getAdjustedPrices())
+//   yieldProfile      per-processing-skill yields (see yieldPctFor) or null for reprocessYieldPct everywhere
+//   hub, basis, priceSource ("fuzzwork" | "esi"), depth, history
+//   crit              calcCritResidue input;  sim: { runs, seed }
+//   hauling           { tripSeconds, hauled } or null;  fees: calcMarketFees() result or null
+// Returns null when no full cycle fits, else { fleet, freeFleet, hauling, mods, sim, fees, hub, basis, depth, tax, rows, best, rankBy }.
+export async function calculateHarvest(input, provider, { onStatus = () => {} } = {}) {
+  const {
+    yieldPerCycle,
+    cycleTimeSeconds,
+    durationMinutes,
+    holdM3 = 0,
+    materialName = "",
+    materialTypeId = null,
+    reprocessYieldPct = 100,
+    reprocessTaxPct: taxPct = 0,
+    adjustedPrices = null,
+    yieldProfile = null,
+    hub = DEFAULT_HUB,
+    basis = DEFAULT_BASIS,
+    priceSource = "fuzzwork",
+    depth: depthMode = false,
+    history: historyMode = false,
+    crit = {},
+    sim: simOpts = {},
+    hauling = null,
+    fees = null,
+  } = input;
+  const harvesters = input.harvesters || [{ name: "Main ship", yieldPerCycle, cycleTimeSeconds, count: 1, holdM3 }];
+
+  if (!(yieldPerCycle > 0)) throw new Error("Yield per cycle must be > 0.");
+  if (!(cycleTimeSeconds > 0)) throw new Error("Cycle time must be > 0.");
+  if (!(durationMinutes >= 0)) throw new Error("Duration must be >= 0.");
+
+  const mods = calcCritResidue(crit);
+  const fleet = calcFleet(durationMinutes, harvesters, mods, hauling);
+  const { totalM3, perHourFactor } = fleet;
+  if (!(totalM3 > 0)) return null;
+
+  // Targets
+  const materialNameInput = String(materialName || "").trim();
+  const materialTypeIdInput = Number(materialTypeId);
+  let targets = [];
+  if (Number.isFinite(materialTypeIdInput) && materialTypeIdInput > 0) {
+    targets = [{ name: materialNameInput || `Type ${Math.floor(materialTypeIdInput)}`, typeId: Math.floor(materialTypeIdInput) }];
+  } else {
+    if (!materialNameInput) throw new Error("Enter a material name or a Type ID.");
+
+    const names = materialNameInput.split(",").map((s) => s.trim()).filter(Boolean);
+    if (names.length === 0) throw new Error("Enter a material name.");
+
+    onStatus(`Resolving type IDs (${names.length})…`);
+    for (const nm of names) {
+      // "Veldspar family" expands to every grade.
+      const family = resolveOreFamily(nm);
+      const ids = family ? family.types.map((t) => t.typeId) : [await provider.resolveTypeId(nm)];
+      if (!ids[0]) throw new Error(`Could not resolve "${nm}". Pick a suggestion or use the in-game name.`);
+      for (const id of ids) if (!targets.some((t) => t.typeId === id)) targets.push({ name: nm, typeId: id });
+    }
+  }
+
+  // Fetch type data for targets
+  onStatus("Fetching type data…");
+  const typeDatas = new Map();
+  for (const t of targets) {
+    typeDatas.set(t.typeId, await provider.getTypeData(t.typeId));
+  }
+
+  const mined = targets.map((t) => {
+    const td = typeDatas.get(t.typeId);
+    const units = Math.floor(totalM3 / (td.volume || 1));
+    return { ...t, typeData: td, unitsMined: units };
+  });
+
+  // Compressed counterparts (optional: a missing type just drops the compressed path)
+  onStatus("Resolving compressed types…");
+  for (const m of mined) {
+    m.compressed = calcCompression({
+      units: m.unitsMined,
+      typeData: m.typeData,
+      compressedTypeData: await getCompressedTypeData(provider, m.typeData),
+    });
+  }
+
+  // Need prices for ores + compressed ores + all outputs
+  const priceTypeIds = new Set();
+  for (const m of mined) {
+    priceTypeIds.add(m.typeId);
+    if (m.compressed) priceTypeIds.add(m.compressed.typeId);
+    for (const mat of Object.values(m.typeData.typeMaterials || {})) priceTypeIds.add(Number(mat.material_type_id));
+  }
+  const idsAll = [...priceTypeIds];
+
+  // Names for output ids (bulk)
+  onStatus("Resolving type names…");
+  const namesMap = await provider.getNames(idsAll);
+
+  const { priceMap, books, historyMap } = await loadMarketData(provider, idsAll, {
+    hub,
+    basis,
+    priceSource,
+    depth: depthMode,
+    history: historyMode,
+    single: mined.length === 1,
+    onStatus,
+  });
+
+  const eivMap = await loadAdjustedPrices(provider, adjustedPrices, taxPct, onStatus);
+  const feeFrac = saleFeePct(fees, basis) / 100;
+  const { trendFor, liquidate } = marketHelpers({ priceMap, books, historyMap, basis });
+
+  const rows = mined.map((m) => {
+    const td = m.typeData;
+
+    const orePrice = getPrice(priceMap, m.typeId, basis);
+    const rawDepth = liquidate(m.typeId, m.unitsMined);
+    const rawGross = rawDepth ? rawDepth.value : orePrice !== null ? orePrice * m.unitsMined : null;
+    const rawFees = rawGross !== null ? rawGross * feeFrac : 0;
+    const rawTotal = rawGross !== null ? rawGross - rawFees : null;
+
+    const compressedPrice = m.compressed ? getPrice(priceMap, m.compressed.typeId, basis) : null;
+    const compressedDepth = m.compressed ? liquidate(m.compressed.typeId, m.compressed.units) : null;
+    const compressedGross = compressedDepth ? compressedDepth.value : compressedPrice !== null ? compressedPrice * m.compressed.units : null;
+    const compressedTotal = compressedGross !== null ? compressedGross * (1 - feeFrac) : null;
+
+    // Gas (and anything else without type_materials) has no reprocessing path: its reprocess values stay null.
+    const reprocessable = Object.keys(td.typeMaterials || {}).length > 0;
+    const yieldPct = yieldPctFor(td, reprocessYieldPct, yieldProfile);
+    const yieldFrac = clamp(yieldPct / 100, 0, 1);
+    const repro = reprocessable
+      ? valueReprocessing({ units: m.unitsMined, typeData: td, yieldFrac, taxPct, eivMap, feeFrac, priceMap, basis, namesMap, liquidate, trendFor })
+      : { reprocessRows: [], reprocessTotal: null, taxFee: 0, marketFees: 0, reprocessNet: null };
+    const { reprocessRows, reprocessTotal, taxFee, marketFees, reprocessNet } = repro;
+
+    const rawPerHour = rawTotal !== null ? rawTotal * perHourFactor : null;
+    const compressedPerHour = compressedTotal !== null ? compressedTotal * perHourFactor : null;
+    const reprocessPerHour = reprocessNet !== null ? reprocessNet * perHourFactor : null;
+
+    return {
+      typeId: m.typeId,
+      typeData: td,
+      family: oreFamilyOf(m.typeId),
+      unitsMined: m.unitsMined,
+      orePrice,
+      rawGross,
+      rawFees,
+      rawDepth,
+      rawTrend: trendFor(m.typeId),
+      rawTotal,
+      rawPerHour,
+      compressed: m.compressed,
+      compressedPrice,
+      compressedGross,
+      compressedDepth,
+      compressedTrend: m.compressed ? trendFor(m.compressed.typeId) : null,
+      compressedTotal,
+      compressedPerHour,
+      reprocessable,
+      reprocessYieldPct: yieldPct,
+      processingSkill: yieldProfile ? processingSkillFor(td)?.name ?? null : null,
+      reprocessRows,
+      reprocessTotal,
+      taxFee,
+      marketFees,
+      reprocessNet,
+      reprocessPerHour,
+      // Ranking value: reprocessed ISK/hr, or raw ISK/hr for anything that can't be reprocessed (gas).
+      rankBy: reprocessable ? "reprocessPerHour" : "rawPerHour",
+      rankValue: reprocessable ? reprocessPerHour : rawPerHour,
+    };
+  });
+
+  // Default selection = best row by its own ranking value, so gas and ore rank together;
+  // rankBy names the column that ranks most rows (raw ISK/hr when nothing can be reprocessed).
+  const rankBy = rows.some((r) => r.reprocessable) ? "reprocessPerHour" : "rawPerHour";
+  const best = rows.slice().sort((a, b) => (b.rankValue ?? 0) - (a.rankValue ?? 0))[0] || rows[0];
+
+  const sim = mods.active ? simulateFleetYield(fleet, mods, simOpts) : null;
+  const freeFleet = calcFleet(durationMinutes, harvesters, mods);
+  return { fleet, freeFleet, hauling, mods, sim, fees, hub, basis, depth: depthMode, tax: reprocessTaxOf(taxPct, eivMap), rows, best, rankBy };
+}
+
+// Adjusted prices for the reprocessing tax: the caller's (e.g. loaded from a file), else the provider's.
+// Null (tax on market value instead) when there's no tax or they can't be fetched.
+async function loadAdjustedPrices(provider, adjustedPrices, taxPct, onStatus) {
+  if (!(taxPct > 0)) return null;
+  if (adjustedPrices) return adjustedPrices;
+  if (typeof provider.getAdjustedPrices !== "function") return null;
+  onStatus("Fetching estimated item values (ESI adjusted prices)…");
+  try {
+    const map = await provider.getAdjustedPrices();
+    if (map.size > 0) return map;
+  } catch {
+    // Falls through to market value below.
+  }
+  onStatus("No adjusted prices: reprocessing tax is charged on market value.", "warn");
+  return null;
+}
+
+// { pct, basis: "eiv" | "market" } (what the reprocessing tax was charged on), or null without a tax.
+function reprocessTaxOf(taxPct, eivMap) {
+  return taxPct > 0 ? { pct: taxPct, basis: eivMap ? "eiv" : "market" } : null;
+}
+
+// Prices (plus order books / history when asked) for every type ID in one go.
+// ESI quotes are only fetched for a single item; lists fall back to Fuzzwork.
+async function loadMarketData(provider, idsAll, { hub, basis, priceSource, depth: depthMode, history: historyMode, single, onStatus }) {
+  let priceMap = new Map();
+  let books = null;
+  if (depthMode) {
+    // Depth needs every order, so quoted prices come from the same ESI books.
+    onStatus(`Fetching ${hub.name} order books from ESI (can take a bit)…`);
+    books = await provider.getOrderBooks(idsAll, {
+      hub,
+      onProgress: (p) => {
+        if (p?.stage === "doneOne") onStatus(`ESI order books… ${p.done}/${p.total}`);
+      },
+    });
+    priceMap = pricesFromOrderBooks(books);
+  } else if (priceSource === "esi" && !single) {
+    onStatus("Comparison mode: using Fuzzwork prices (ESI is too heavy for many items).", "warn");
+    priceMap = await provider.getPrices(idsAll, { hub, source: "fuzzwork" });
+  } else if (priceSource === "esi") {
+    onStatus(`Fetching ${hub.name} prices from ESI (can take a bit)…`);
+    priceMap = await provider.getPrices(idsAll, {
+      hub,
+      source: "esi",
+      onProgress: (p) => {
+        if (p?.stage === "doneOne") onStatus(`ESI pricing… ${p.done}/${p.total}`);
+      },
+    });
+  } else {
+    onStatus(`Fetching ${hub.name} prices from Fuzzwork…`);
+    priceMap = await provider.getPrices(idsAll, { hub, source: "fuzzwork" });
+  }
+
+  // History: needed for the average bases and for trends
+  let historyMap = null;
+  if (historyMode || basis.days) {
+    onStatus(`Fetching ${hub.name} region price history from ESI…`);
+    const histories = await provider.getHistory(idsAll, {
+      hub,
+      onProgress: (p) => onStatus(`ESI history… ${p.done}/${p.total}`),
+    });
+    historyMap = new Map();
+    for (const [id, rows] of histories) {
+      const stats = calcHistoryStats(rows);
+      historyMap.set(id, stats);
+      priceMap.set(id, { ...(priceMap.get(id) || {}), avg7: stats.avg7, avg30: stats.avg30, avg90: stats.avg90 });
+    }
+  }
+
+  return { priceMap, books, historyMap };
+}
+
+function marketHelpers({ priceMap, books, historyMap, basis }) {
+  // Trends compare a live price with the 30-day average (min sell when valuing at an average).
+  const liveBasis = basis.days ? DEFAULT_BASIS : basis;
+  return {
+    trendFor: (typeId) => (historyMap ? calcTrend(historyMap.get(typeId), getPrice(priceMap, typeId, liveBasis)) : null),
+    liquidate: (typeId, qty) => (books ? calcLiquidation(books.get(typeId), qty, { listing: basis.listing }) : null),
+  };
+}
+
+// Reprocessed outputs for `units` of one type (whole portions only), valued at the basis, then taxed.
+// As in game, tax is charged on each output's estimated item value (eivMap); an output without one
+// is taxed on its market value instead (taxOnMarket).
+function valueReprocessing({ units, typeData, yieldFrac, taxPct, eivMap = null, feeFrac, priceMap, basis, namesMap, liquidate, trendFor }) {
+  const outputs = computeReprocessOutputs({ units, portionSize: typeData.portionSize, typeMaterials: typeData.typeMaterials, yieldPct: yieldFrac * 100 });
+
+  const reprocessRows = [];
+  let reprocessTotal = 0;
+  let taxFee = 0;
+
+  for (const { typeId: outId, qty } of outputs) {
+    const unitPrice = getPrice(priceMap, outId, basis);
+    const depth = liquidate(outId, qty);
+    const trend = trendFor(outId);
+    const totalValue = depth ? depth.value : unitPrice !== null ? unitPrice * qty : null;
+    if (totalValue !== null) reprocessTotal += totalValue;
+
+    const eiv = eivMap?.get(outId) ?? null;
+    const taxBase = eiv !== null ? eiv * qty : totalValue;
+    const tax = taxPct > 0 && taxBase !== null ? taxBase * (taxPct / 100) : 0;
+    const marketFee = totalValue !== null ? totalValue * feeFrac : 0;
+    taxFee += tax;
+
+    reprocessRows.push({
+      typeId: outId,
+      name: namesMap.get(outId) || `Type ${outId}`,
+      qty,
+      unitPrice,
+      totalValue,
+      eiv,
+      taxFee: tax,
+      taxOnMarket: taxPct > 0 && eiv === null,
+      marketFee,
+      netValue: totalValue !== null ? totalValue - tax - marketFee : null,
+      depth,
+      trend,
+    });
+  }
+
+  reprocessRows.sort((a, b) => (b.totalValue ?? 0) - (a.totalValue ?? 0));
+
+  const marketFees = reprocessTotal * feeFrac;
+  const reprocessNet = reprocessTotal - taxFee - marketFees;
+  return { reprocessRows, reprocessTotal, taxFee, marketFees, reprocessNet };
+}
+
+// Prices for a set of types and everything they reprocess into, plus the settings to value them with.
+// Options mirror calculateHarvest: reprocessYieldPct, reprocessTaxPct, adjustedPrices, yieldProfile, hub, basis, priceSource, depth, history, fees.
+async function marketContext(provider, typeDatas, opts, onStatus) {
+  const {
+    reprocessYieldPct = 100,
+    reprocessTaxPct: taxPct = 0,
+    adjustedPrices = null,
+    yieldProfile = null,
+    hub = DEFAULT_HUB,
+    basis = DEFAULT_BASIS,
+    priceSource = "fuzzwork",
+    depth = false,
+    history = false,
+    fees = null,
+  } = opts;
+
+  const priceTypeIds = new Set();
+  for (const td of typeDatas) {
+    priceTypeIds.add(td.typeId);
+    for (const mat of Object.values(td.typeMaterials || {})) priceTypeIds.add(Number(mat.material_type_id));
+  }
+  const idsAll = [...priceTypeIds];
+
+  onStatus("Resolving type names…");
+  const namesMap = await provider.getNames(idsAll);
+
+  const market = await loadMarketData(provider, idsAll, {
+    hub,
+    basis,
+    priceSource,
+    depth,
+    history,
+    single: new Set(typeDatas.map((td) => td.typeId)).size === 1,
+    onStatus,
+  });
+
+  const eivMap = await loadAdjustedPrices(provider, adjustedPrices, taxPct, onStatus);
+
+  return {
+    ...market,
+    ...marketHelpers({ ...market, basis }),
+    basis,
+    namesMap,
+    taxPct,
+    eivMap,
+    reprocessYieldPct,
+    yieldProfile,
+    feeFrac: saleFeePct(fees, basis) / 100,
+  };
+}
+
+// Raw and reprocessed value of `qty` units of one type held as-is (not mined over time).
+function valueHolding({ typeId, typeData: td, qty }, ctx) {
+  const { priceMap, basis, feeFrac, liquidate, trendFor } = ctx;
+  const unitPrice = getPrice(priceMap, typeId, basis);
+  const rawDepth = liquidate(typeId, qty);
+  const rawGross = rawDepth ? rawDepth.value : unitPrice !== null ? unitPrice * qty : null;
+  const rawFees = rawGross !== null ? rawGross * feeFrac : 0;
+  const rawNet = rawGross !== null ? rawGross - rawFees : null;
+
+  const reprocessable = Object.keys(td.typeMaterials || {}).length > 0;
+  const yieldPct = yieldPctFor(td, ctx.reprocessYieldPct, ctx.yieldProfile);
+  const repro = reprocessable ? valueReprocessing({ ...ctx, units: qty, typeData: td, yieldFrac: clamp(yieldPct / 100, 0, 1) }) : null;
+
+  return {
+    typeId,
+    typeData: td,
+    name: td.name,
+    qty,
+    m3: qty * (td.volume || 0),
+    unitPrice,
+    rawGross,
+    rawFees,
+    rawDepth,
+    rawTrend: trendFor(typeId),
+    rawNet,
+    reprocessable,
+    reprocessYieldPct: yieldPct,
+    reprocessRows: repro ? repro.reprocessRows : [],
+    reprocessTotal: repro ? repro.reprocessTotal : null,
+    taxFee: repro ? repro.taxFee : 0,
+    marketFees: repro ? repro.marketFees : 0,
+    reprocessNet: repro ? repro.reprocessNet : null,
+  };
+}
+
+// ---------------------------
+// Inventory valuation
+// ---------------------------
+// Text copied from inventory windows and contracts: one item per line, tab-separated
+// (name, quantity, group, category, volume, …). Also takes "Name  123" and "Name x 123".
+// Returns { items: [{ line, name, qty }], unknown: [{ line, text, reason }] }.
+export function parseInventoryPaste(text) {
+  const items = [];
+  const unknown = [];
+
+  String(text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const trimmed = raw.trim();
+    if (!trimmed) return;
+
+    let cols = raw.split("\t").map((c) => c.trim());
+    if (cols.length === 1) {
+      const m = trimmed.match(/^(.*?)\s+x\s?(\d[\d.,'\s]*)$/i) || trimmed.match(/^(.*?)\s{2,}(\d[\d.,'\s]*)$/);
+      cols = m ? [m[1], m[2]] : [trimmed];
+    }
+
+    const name = cols[0].replace(/\*$/, "").trim();
+    if (!name) return unknown.push({ line, text: trimmed, reason: "No item name." });
+
+    // Quantities are whole units with any locale's thousands separator (one kind, every group
+    // three digits), so "12.5" is unreadable rather than 125. Blank = a single item.
+    const qtyText = (cols[1] || "").trim();
+    if (qtyText && !/^\d+$/.test(qtyText) && !/^\d{1,3}([\s.,'])\d{3}(?:\1\d{3})*$/.test(qtyText)) {
+      return unknown.push({ line, text: trimmed, reason: `Unreadable quantity "${cols[1]}".` });
+    }
+    const qty = qtyText ? Number(qtyText.replace(/[\s.,']/g, "")) : 1;
+    if (!(qty > 0)) return unknown.push({ line, text: trimmed, reason: "Quantity is 0." });
+
+    items.push({ line, name, qty });
+  });
+
+  return { items, unknown };
+}
+
+// Raw and reprocessed value of parsed inventory items. Lines for the same type are merged.
+// Lines that don't resolve end up in `unknown` instead of failing the paste.
+// Options mirror calculateHarvest: reprocessYieldPct, reprocessTaxPct, adjustedPrices, yieldProfile, hub, basis, priceSource, depth, history, fees.
+// Returns { hub, basis, fees, depth, rows, unknown, totals: { m3, rawNet, reprocessNet, bestNet } }.
+export async function valueInventory(items, provider, opts = {}, { onStatus = () => {} } = {}) {
+  const { hub = DEFAULT_HUB, basis = DEFAULT_BASIS, depth: depthMode = false, fees = null } = opts;
+
+  const unknown = [];
+  const byType = new Map();
+
+  onStatus(`Resolving ${items.length} pasted item${items.length === 1 ? "" : "s"}…`);
+  for (const item of items) {
+    try {
+      const typeId = await provider.resolveTypeId(item.name);
+      if (!typeId) {
+        unknown.push({ line: item.line, text: item.name, reason: "No item with this name." });
+        continue;
+      }
+      let entry = byType.get(typeId);
+      if (!entry) {
+        entry = { typeId, typeData: await provider.getTypeData(typeId), qty: 0, lines: [] };
+        byType.set(typeId, entry);
+      }
+      entry.qty += item.qty;
+      entry.lines.push(item.line);
+    } catch (err) {
+      unknown.push({ line: item.line, text: item.name, reason: err?.message || String(err) });
+    }
+  }
+
+  const entries = [...byType.values()];
+  const totals = { m3: 0, rawNet: 0, reprocessNet: 0, bestNet: 0 };
+  if (entries.length === 0) return { hub, basis, fees, depth: depthMode, rows: [], unknown, totals };
+
+  const ctx = await marketContext(provider, entries.map((e) => e.typeData), opts, onStatus);
+  const rows = entries.map((e) => ({ ...valueHolding(e, ctx), lines: e.lines }));
+
+  // Reprocessed total: everything that can be reprocessed is, the rest sells as-is.
+  for (const r of rows) {
+    const raw = r.rawNet ?? 0;
+    const repro = r.reprocessable ? r.reprocessNet : raw;
+    totals.m3 += r.m3;
+    totals.rawNet += raw;
+    totals.reprocessNet += repro;
+    totals.bestNet += Math.max(raw, repro);
+  }
+
+  return { hub, basis, fees, depth: depthMode, rows, unknown, totals };
+}
+
+// ---------------------------
+// Mining ledger
+// ---------------------------
+// Ledger entries: { date: "YYYY-MM-DD", name | typeId, qty, system | systemId, characterId }.
+// Both parsers return { entries, unknown: [{ line, text, reason }] }.
+
+// "2026.10.18 13:05" / "2026-10-18" / "2026/10/18" -> "2026-10-18"
+function ledgerDate(text) {
+  const m = String(text || "").trim().match(/^(\d{4})[.\-/](\d{1,2})[.\-/](\d{1,2})/);
+  return m ? `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}` : null;
+}
+
+// Copied from the in-game Mining Ledger: tab-separated date, ore type, quantity, volume,
+// estimated price and solar system. Columns are told apart by content, so order doesn't matter;
+// header rows (no date) are skipped.
+export function parseLedgerPaste(text) {
+  const entries = [];
+  const unknown = [];
+
+  String(text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const cols = raw.split("\t").map((c) => c.trim()).filter(Boolean);
+    if (cols.length === 0) return;
+
+    const dateIdx = cols.findIndex((c) => ledgerDate(c));
+    if (dateIdx < 0) {
+      if (i > 0) unknown.push({ line, text: raw.trim(), reason: "No date in this line." });
+      return;
+    }
+
+    let qty = null;
+    const words = [];
+    cols.forEach((c, idx) => {
+      if (idx === dateIdx || /isk$/i.test(c) || /m[3³]$/i.test(c)) return;
+      if (/^\d[\d.,'\s]*$/.test(c)) {
+        if (qty === null) qty = Number(c.replace(/[\s.,']/g, ""));
+      } else {
+        words.push(c);
+      }
+    });
+
+    if (words.length === 0) return unknown.push({ line, text: raw.trim(), reason: "No ore type." });
+    if (!(qty > 0)) return unknown.push({ line, text: raw.trim(), reason: "No quantity." });
+    entries.push({ line, date: ledgerDate(cols[dateIdx]), name: words[0], system: words[1] || null, qty });
+  });
+
+  return { entries, unknown };
+}
+
+// ESI GET /characters/{id}/mining/ ({ date, solar_system_id, type_id, quantity }) or
+// GET /corporation/{id}/mining/observers/{observer_id}/ ({ last_updated, character_id, type_id, quantity }).
+// Observers are structures, so their entries carry no system.
+export function parseLedgerJson(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.entries) ? data.entries : null;
+  if (!list) throw new Error("Expected a JSON array of mining ledger entries.");
+
+  const entries = [];
+  const unknown = [];
+  list.forEach((rec, i) => {
+    const line = i + 1;
+    const date = ledgerDate(rec?.date ?? rec?.last_updated);
+    const typeId = Number(rec?.type_id);
+    const qty = Number(rec?.quantity);
+    if (!date || !(typeId > 0) || !(qty > 0)) {
+      return unknown.push({ line, text: JSON.stringify(rec), reason: "Needs a date, type_id and quantity." });
+    }
+    entries.push({
+      line,
+      date,
+      typeId,
+      qty,
+      systemId: Number(rec.solar_system_id) || null,
+      characterId: Number(rec.character_id) || null,
+    });
+  });
+
+  return { entries, unknown };
+}
+
+// Groups ledger entries by date, system and ore, then values every group and day raw vs reprocessed.
+// Options are the same as valueInventory. Returns { hub, basis, fees, depth, groups, days, unknown, totals };
+// days are newest first, each { date, m3, rawNet, reprocessNet, pilots, groups }.
+export async function valueLedger(entries, provider, opts = {}, { onStatus = () => {} } = {}) {
+  const { hub = DEFAULT_HUB, basis = DEFAULT_BASIS, depth: depthMode = false, fees = null } = opts;
+
+  const unknown = [];
+  const idByName = new Map();
+  const typeDatas = new Map();
+
+  onStatus(`Resolving ${entries.length} ledger entr${entries.length === 1 ? "y" : "ies"}…`);
+  const resolved = [];
+  for (const e of entries) {
+    try {
+      let typeId = e.typeId;
+      if (!typeId) {
+        const key = e.name.toLowerCase();
+        if (!idByName.has(key)) idByName.set(key, await provider.resolveTypeId(e.name));
+        typeId = idByName.get(key);
+      }
+      if (!typeId) {
+        unknown.push({ line: e.line, text: e.name, reason: "No item with this name." });
+        continue;
+      }
+      if (!typeDatas.has(typeId)) typeDatas.set(typeId, await provider.getTypeData(typeId));
+      resolved.push({ ...e, typeId });
+    } catch (err) {
+      unknown.push({ line: e.line, text: e.name ?? `Type ${e.typeId}`, reason: err?.message || String(err) });
+    }
+  }
+
+  const totals = { m3: 0, rawNet: 0, reprocessNet: 0, days: 0 };
+  if (resolved.length === 0) return { hub, basis, fees, depth: depthMode, groups: [], days: [], unknown, totals };
+
+  // ESI entries only carry system IDs; a failed lookup just leaves the ID showing.
+  const systemIds = [...new Set(resolved.map((e) => e.systemId).filter(Boolean))];
+  let systemNames = new Map();
+  if (systemIds.length && provider.getSystemNames) {
+    try {
+      systemNames = await provider.getSystemNames(systemIds);
+    } catch (err) {
+      onStatus(`System names unavailable (${err?.message || err}): showing system IDs.`, "warn");
+    }
+  }
+
+  const byGroup = new Map();
+  for (const e of resolved) {
+    const system = e.system || (e.systemId ? systemNames.get(e.systemId) || `System ${e.systemId}` : null);
+    const key = `${e.date}|${system ?? ""}|${e.typeId}`;
+    let g = byGroup.get(key);
+    if (!g) {
+      g = { date: e.date, system, typeId: e.typeId, typeData: typeDatas.get(e.typeId), qty: 0, characters: new Set() };
+      byGroup.set(key, g);
+    }
+    g.qty += e.qty;
+    if (e.characterId) g.characters.add(e.characterId);
+  }
+
+  const ctx = await marketContext(provider, [...typeDatas.values()], opts, onStatus);
+  const groups = [...byGroup.values()]
+    .map((g) => ({ ...valueHolding(g, ctx), date: g.date, system: g.system, characters: g.characters }))
+    .sort((a, b) => b.date.localeCompare(a.date) || String(a.system ?? "").localeCompare(String(b.system ?? "")) || a.name.localeCompare(b.name));
+
+  // Ores that can't be reprocessed count at their raw value in the reprocessed total.
+  const byDay = new Map();
+  for (const g of groups) {
+    let d = byDay.get(g.date);
+    if (!d) {
+      d = { date: g.date, m3: 0, rawNet: 0, reprocessNet: 0, characters: new Set(), groups: [] };
+      byDay.set(g.date, d);
+    }
+    const raw = g.rawNet ?? 0;
+    d.m3 += g.m3;
+    d.rawNet += raw;
+    d.reprocessNet += g.reprocessable ? g.reprocessNet : raw;
+    for (const c of g.characters) d.characters.add(c);
+    d.groups.push(g);
+  }
+
+  const days = [...byDay.values()].map(({ characters, ...d }) => ({ ...d, pilots: characters.size || 1 }));
+  for (const d of days) {
+    totals.m3 += d.m3;
+    totals.rawNet += d.rawNet;
+    totals.reprocessNet += d.reprocessNet;
+  }
+  totals.days = days.length;
+
+  return { hub, basis, fees, depth: depthMode, groups, days, unknown, totals };
+}
+
+// Actual m³/hour per ledger day against the fit's full cycles over the same hours.
+// The ledger has no session length, so hoursPerDay is the user's estimate; corporation
+// ledgers scale the prediction by the pilots seen that day.
+export function calcLedgerThroughput(days, { yieldPerCycle, cycleTimeSeconds, hoursPerDay }) {
+  const cycles = calcCycles(hoursPerDay * 60, cycleTimeSeconds);
+  const predictedM3 = cycles.cycles * yieldPerCycle;
+  const hours = hoursPerDay > 0 ? hoursPerDay : null;
+
+  return days.map((d) => {
+    const expectedM3 = predictedM3 * d.pilots;
+    return {
+      date: d.date,
+      pilots: d.pilots,
+      actualM3: d.m3,
+      expectedM3,
+      actualPerHour: hours ? d.m3 / hours : null,
+      expectedPerHour: hours ? expectedM3 / hours : null,
+      ratio: expectedM3 > 0 ? d.m3 / expectedM3 : null,
+    };
+  });
+}
+
+// ---------------------------
+// Moon extraction
+// ---------------------------
+// Composition from a moon survey copy ("Moon Product  Quantity  Ore TypeID …", quantities as
+// fractions) or typed lines like "Zeolites 35" / "Zeolites: 35%". Fractions are turned into percent.
+// Returns { ores: [{ line, name, typeId, pct }], unknown }.
+export function parseMoonComposition(text) {
+  const ores = [];
+  const unknown = [];
+
+  String(text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const trimmed = raw.trim();
+    // Blank lines and the survey's moon name rows ("Sosala VII - Moon 3").
+    if (!trimmed || /\bmoon \d+$/i.test(trimmed)) return;
+
+    let cols = raw.split("\t").map((c) => c.trim()).filter(Boolean);
+    if (cols.length === 1) {
+      const m = trimmed.match(/^(.*?)[\s:=]+(\d+(?:[.,]\d+)?)\s*%?$/);
+      cols = m ? [m[1], m[2]] : cols;
+    }
+
+    const nameIdx = cols.findIndex((c) => !/^[\d.,]+%?$/.test(c));
+    const nums = cols.slice(nameIdx + 1).filter((c) => /^[\d.,]+%?$/.test(c)).map((c) => Number(c.replace("%", "").replace(",", ".")));
+    // The survey's header row carries no numbers.
+    if (nameIdx < 0 || nums.length === 0) {
+      if (/\d/.test(trimmed)) unknown.push({ line, text: trimmed, reason: "No ore share in this line." });
+      return;
+    }
+    if (!(nums[0] > 0)) return unknown.push({ line, text: trimmed, reason: "Share must be > 0." });
+
+    const typeId = Number.isInteger(nums[1]) && nums[1] > 0 ? nums[1] : null;
+    ores.push({ line, name: cols[nameIdx], typeId, pct: nums[0] });
+  });
+
+  // A survey lists fractions that add up to 1.
+  const sum = ores.reduce((acc, o) => acc + o.pct, 0);
+  if (sum > 0 && sum <= 1.0001) for (const o of ores) o.pct *= 100;
+
+  return { ores, unknown };
+}
+
+// Chunk volume from the extraction time, split by composition. Shares that don't add up to 100%
+// are scaled so the whole chunk is accounted for; pctTotal keeps the entered sum.
+export function calcMoonChunk({ extractionHours, m3PerHour = MOON_CHUNK_M3_PER_HOUR, ores }) {
+  const totalM3 = Math.max(0, Number(extractionHours) || 0) * Math.max(0, Number(m3PerHour) || 0);
+  const pctTotal = ores.reduce((acc, o) => acc + o.pct, 0);
+  return {
+    extractionHours,
+    m3PerHour,
+    totalM3,
+    pctTotal,
+    ores: ores.map((o) => ({ ...o, share: pctTotal > 0 ? o.pct / pctTotal : 0, m3: pctTotal > 0 ? (totalM3 * o.pct) / pctTotal : 0 })),
+  };
+}
+
+// Values a moon chunk raw and reprocessed and estimates how long the fleet needs to clear it.
+//   extractionHours, chunkM3PerHour, ores (parseMoonComposition)
+//   harvesters, durationMinutes, crit, hauling   the fleet as in calculateHarvest (sets the m³/hour)
+//   plus the valueInventory market options.
+// Returns { chunk, rows, unknown, totals, clear, hub, basis, fees, depth }.
+export async function calculateMoonChunk(input, provider, { onStatus = () => {} } = {}) {
+  const {
+    extractionHours,
+    chunkM3PerHour = MOON_CHUNK_M3_PER_HOUR,
+    ores = [],
+    harvesters = [],
+    durationMinutes = 60,
+    crit = {},
+    hauling = null,
+    hub = DEFAULT_HUB,
+    basis = DEFAULT_BASIS,
+    depth: depthMode = false,
+    fees = null,
+  } = input;
+
+  if (!(extractionHours > 0)) throw new Error("Extraction time must be > 0.");
+  if (!(chunkM3PerHour > 0)) throw new Error("Chunk m³ per hour must be > 0.");
+  if (ores.length === 0) throw new Error("Enter the moon's ore composition.");
+
+  const unknown = [];
+  const resolved = [];
+  onStatus(`Resolving ${ores.length} moon ore${ores.length === 1 ? "" : "s"}…`);
+  for (const o of ores) {
+    try {
+      const typeId = o.typeId || (await provider.resolveTypeId(o.name));
+      if (!typeId) {
+        unknown.push({ line: o.line, text: o.name, reason: "No item with this name." });
+        continue;
+      }
+      resolved.push({ ...o, typeId, typeData: await provider.getTypeData(typeId) });
+    } catch (err) {
+      unknown.push({ line: o.line, text: o.name, reason: err?.message || String(err) });
+    }
+  }
+  if (resolved.length === 0) throw new Error("None of the moon ores could be resolved.");
+
+  // Unresolved ores still take up their share of the chunk.
+  const chunk = calcMoonChunk({ extractionHours, m3PerHour: chunkM3PerHour, ores });
+  const byLine = new Map(chunk.ores.map((o) => [o.line, o]));
+
+  const ctx = await marketContext(provider, resolved.map((o) => o.typeData), input, onStatus);
+  const rows = resolved.map((o) => {
+    const part = byLine.get(o.line);
+    const units = calcUnitsMined(part.m3, o.typeData.volume);
+    return { ...valueHolding({ typeId: o.typeId, typeData: o.typeData, qty: units }, ctx), pct: part.pct, share: part.share, chunkM3: part.m3 };
+  });
+
+  const totals = { m3: 0, rawNet: 0, reprocessNet: 0, bestNet: 0 };
+  for (const r of rows) {
+    const raw = r.rawNet ?? 0;
+    const repro = r.reprocessable ? r.reprocessNet : raw;
+    totals.m3 += r.chunkM3;
+    totals.rawNet += raw;
+    totals.reprocessNet += repro;
+    totals.bestNet += Math.max(raw, repro);
+  }
+
+  // Residue empties the rock without filling the hold, so it shortens the time to clear.
+  const mods = calcCritResidue(crit);
+  const fleet = harvesters.length ? calcFleet(durationMinutes, harvesters, mods, hauling) : null;
+  const depletion = fleet && fleet.totalM3 > 0 ? (fleet.totalM3 + fleet.wastedM3) / fleet.totalM3 : 1;
+  const m3PerHour = fleet ? fleet.m3PerHour : 0;
+  const hours = m3PerHour > 0 ? chunk.totalM3 / (m3PerHour * depletion) : null;
+  const clear = {
+    m3PerHour,
+    hours,
+    shipCount: fleet?.shipCount ?? 0,
+    shipHours: hours !== null ? hours * fleet.shipCount : null,
+    residueM3: chunk.totalM3 - chunk.totalM3 / depletion,
+  };
+
+  return { chunk, rows, unknown, totals, clear, hub, basis, fees, depth: depthMode };
+}
+
+
+// ---------------------------
+// Mineral shopping list
+// ---------------------------
+// The reverse of a harvest: mineral targets in, the ore mix that reprocesses into them out.
+
+// "4M" / "200k" / "1.5b" / "4,000,000" -> units, or null.
+function parseQuantity(text) {
+  const m = String(text || "").trim().toLowerCase().match(/^(\d[\d.,'\s]*?)\s*([kmb])?$/);
+  if (!m) return null;
+  const mult = { k: 1e3, m: 1e6, b: 1e9 }[m[2]] ?? 1;
+  // With a suffix "." is a decimal point; without one every separator is a thousands separator.
+  const n = Number(m[1].replace(m[2] ? /[,'\s]/g : /[\s.,']/g, "")) * mult;
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+}
+
+// "4M Tritanium, 1M Pyerite, 200k Mexallon" or one mineral per line ("Tritanium 4,000,000",
+// "Tritanium<TAB>4000000", "4000000 x Tritanium"). Commas between digits are thousands separators.
+// Returns { targets: [{ line, name, qty }], unknown: [{ line, text, reason }] }.
+export function parseMineralTargets(text) {
+  const targets = [];
+  const unknown = [];
+
+  String(text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    for (const part of raw.split(/,(?!\d{3}(?!\d))/)) {
+      const item = part.trim();
+      if (!item) continue;
+      const m = item.match(/^(\d[\d.,']*[kmb]?)\s*(?:x\s+)?([a-z].*)$/i) || item.match(/^([a-z][^\t\d]*?)\s*[:=\t]?\s*(?:x\s*)?(\d[\d.,'\s]*[kmb]?)$/i);
+      if (!m) {
+        unknown.push({ line, text: item, reason: "Expected a mineral and a quantity, e.g. 4M Tritanium." });
+        continue;
+      }
+      const [qtyText, name] = /^\d/.test(m[1]) ? [m[1], m[2]] : [m[2], m[1]];
+      const qty = parseQuantity(qtyText);
+      if (qty === null) unknown.push({ line, text: item, reason: `Unreadable quantity "${qtyText}".` });
+      else targets.push({ line, name: name.trim(), qty });
+    }
+  });
+
+  return { targets, unknown };
+}
+
+// Minimises c·x subject to A·x >= b and x >= 0 (two-phase simplex with Bland's rule).
+// Rows are scaled to a right-hand side of 1 and costs to at most 1 to keep the tolerances meaningful.
+// Returns { status: "optimal" | "infeasible" | "unbounded", x }.
+export function solveCoveringLp(c, A, b) {
+  const EPS = 1e-9;
+  const n = c.length;
+  const rows = A.map((row, i) => ({ row, rhs: Number(b[i]) })).filter((r) => r.rhs > 0);
+  const m = rows.length;
+  const cols = n + 2 * m; // x, surplus, artificial
+  const cMax = Math.max(...c.map(Math.abs), EPS);
+
+  const T = rows.map(({ row, rhs }, i) => {
+    const r = new Array(cols + 1).fill(0);
+    for (let j = 0; j < n; j++) r[j] = (Number(row[j]) || 0) / rhs;
+    r[n + i] = -1;
+    r[n + m + i] = 1;
+    r[cols] = 1;
+    return r;
+  });
+  const basis = rows.map((_, i) => n + m + i);
+
+  const pivot = (row, col) => {
+    const p = T[row][col];
+    for (let j = 0; j <= cols; j++) T[row][j] /= p;
+    for (let i = 0; i < m; i++) {
+      const f = T[i][col];
+      if (i === row || f === 0) continue;
+      for (let j = 0; j <= cols; j++) T[i][j] -= f * T[row][j];
+    }
+    basis[row] = col;
+  };
+
+  // Pivots until no allowed column lowers `cost`; false when the problem is unbounded.
+  const run = (cost, allowed) => {
+    for (let iter = 0; iter < 50000; iter++) {
+      let enter = -1;
+      for (let j = 0; j < allowed && enter < 0; j++) {
+        if (basis.includes(j)) continue;
+        let reduced = cost[j];
+        for (let i = 0; i < m; i++) reduced -= cost[basis[i]] * T[i][j];
+        if (reduced < -EPS) enter = j;
+      }
+      if (enter < 0) return true;
+
+      let leave = -1;
+      for (let i = 0; i < m; i++) {
+        if (T[i][enter] <= EPS) continue;
+        if (leave < 0) {
+          leave = i;
+          continue;
+        }
+        const ratio = T[i][cols] / T[i][enter];
+        const best = T[leave][cols] / T[leave][enter];
+        if (ratio < best - EPS || (Math.abs(ratio - best) <= EPS && basis[i] < basis[leave])) leave = i;
+      }
+      if (leave < 0) return false;
+      pivot(leave, enter);
+    }
+    throw new Error("The solver did not converge.");
+  };
+
+  // Phase 1: drive the artificial variables to zero.
+  run(Array.from({ length: cols }, (_, j) => (j >= n + m ? 1 : 0)), cols);
+  const artificial = basis.reduce((acc, col, i) => acc + (col >= n + m ? T[i][cols] : 0), 0);
+  if (artificial > 1e-7) return { status: "infeasible", x: null };
+  basis.forEach((col, i) => {
+    if (col < n + m) return;
+    const j = T[i].findIndex((v, k) => k < n + m && Math.abs(v) > EPS);
+    if (j >= 0) pivot(i, j);
+  });
+
+  // Phase 2: the real objective over x and the surplus columns.
+  const cost = Array.from({ length: cols }, (_, j) => (j < n ? c[j] / cMax : 0));
+  if (!run(cost, n + m)) return { status: "unbounded", x: null };
+
+  const x = new Array(n).fill(0);
+  basis.forEach((col, i) => {
+    if (col < n) x[col] = Math.max(0, T[i][cols]);
+  });
+  return { status: "optimal", x };
+}
+
+// Whole-portion reprocessing output of `portions` of a candidate, by mineral type ID.
+function portionOutputs(cand, portions) {
+  const { portionSize, typeMaterials } = cand.typeData;
+  const ps = Math.max(1, Number(portionSize) || 1);
+  const outputs = computeReprocessOutputs({ units: portions * ps, portionSize: ps, typeMaterials, yieldPct: cand.yieldFrac * 100 });
+  return new Map(outputs.map((o) => [o.typeId, o.qty]));
+}
+
+// The cheapest (or quickest to mine) ore mix that reprocesses into at least the target minerals.
+//   targets            [{ name | typeId, qty, line }] (parseMineralTargets)
+//   ores               comma-separated candidates ("Veldspar family" = every grade); blank = every ore family and ice
+//   includeCompressed  also consider compressed forms (cost only: compressed ore can't be mined)
+//   objective          "cost" (ISK to buy the ore, incl. reprocessing tax) or "time" (fleet hours to mine it)
+//   harvesters, durationMinutes, crit, hauling   the fleet as in calculateHarvest (sets the m³/hour)
+//   plus the valueInventory market options (yield, yield profile, tax, hub, basis, fees).
+// Ore comes in whole portions. Returns { objective, rows, minerals, unknown, totals, m3PerHour, hub, basis, fees, tax }.
+export async function planMineralPurchase(input, provider, { onStatus = () => {} } = {}) {
+  const {
+    targets = [],
+    ores = "",
+    includeCompressed = true,
+    objective = "cost",
+    harvesters = [],
+    durationMinutes = 60,
+    crit = {},
+    hauling = null,
+    hub = DEFAULT_HUB,
+    basis = DEFAULT_BASIS,
+    fees = null,
+  } = input;
+  if (!["cost", "time"].includes(objective)) throw new Error(`Unknown objective "${objective}".`);
+  if (targets.length === 0) throw new Error("Enter at least one mineral target.");
+
+  // Targets (same mineral twice = added up)
+  const unknown = [];
+  const wanted = new Map();
+  const targetNames = new Map();
+  onStatus(`Resolving ${targets.length} mineral${targets.length === 1 ? "" : "s"}…`);
+  for (const t of targets) {
+    try {
+      const typeId = t.typeId || (await provider.resolveTypeId(t.name));
+      if (!typeId) {
+        unknown.push({ line: t.line, text: t.name, reason: "No item with this name." });
+        continue;
+      }
+      wanted.set(typeId, (wanted.get(typeId) ?? 0) + t.qty);
+      targetNames.set(typeId, t.name);
+    } catch (err) {
+      unknown.push({ line: t.line, text: t.name, reason: err?.message || String(err) });
+    }
+  }
+  if (wanted.size === 0) throw new Error("None of the minerals could be resolved.");
+  const targetIds = [...wanted.keys()];
+
+  // Candidates: bundled materials skip ores that can't help before anything is fetched.
+  const names = String(ores || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const candidateIds = [];
+  if (names.length === 0) {
+    for (const f of ORE_FAMILIES) candidateIds.push(...f.types.map((t) => t.typeId));
+    candidateIds.push(...BUNDLED_TYPES.filter((t) => t.groupId === ICE_GROUP_ID && !/^compressed /i.test(t.name)).map((t) => t.typeId));
+  } else {
+    onStatus(`Resolving ${names.length} ore${names.length === 1 ? "" : "s"}…`);
+    for (const nm of names) {
+      const family = resolveOreFamily(nm);
+      const ids = family ? family.types.map((t) => t.typeId) : [await provider.resolveTypeId(nm)];
+      if (!ids[0]) throw new Error(`Could not resolve "${nm}".`);
+      candidateIds.push(...ids);
+    }
+  }
+  const helps = (materials) => targetIds.some((id) => materials[id]);
+  const useful = [...new Set(candidateIds)].filter((id) => {
+    const bundled = BUNDLED_BY_ID.get(id);
+    return !bundled?.materials || helps(bundled.materials);
+  });
+
+  onStatus(`Fetching type data (${useful.length})…`);
+  const candidates = [];
+  for (const id of useful) {
+    const typeData = await provider.getTypeData(id);
+    const materials = Object.fromEntries(Object.values(typeData.typeMaterials || {}).map((m) => [Number(m.material_type_id), Number(m.quantity)]));
+    if (!helps(materials)) continue;
+    candidates.push({ typeId: id, typeData, compressedOf: null });
+    if (includeCompressed && objective === "cost") {
+      const compressed = await getCompressedTypeData(provider, typeData);
+      if (compressed && !useful.includes(compressed.typeId)) candidates.push({ typeId: compressed.typeId, typeData: compressed, compressedOf: id });
+    }
+  }
+  if (candidates.length === 0) throw new Error("None of the candidate ores reprocesses into these minerals.");
+
+  // Fleet m³/hour (needed for the time objective, reported for cost)
+  const fleet = harvesters.length ? calcFleet(durationMinutes, harvesters, calcCritResidue(crit), hauling) : null;
+  const m3PerHour = fleet ? fleet.m3PerHour : 0;
+  if (objective === "time" && !(m3PerHour > 0)) throw new Error("Set a yield per cycle and cycle time above to plan by mining time.");
+
+  const ctx = await marketContext(provider, candidates.map((c) => c.typeData), input, onStatus);
+  const { priceMap, namesMap, eivMap, taxPct } = ctx;
+  const priceOf = (id) => getPrice(priceMap, id, basis);
+
+  for (const c of candidates) {
+    const td = c.typeData;
+    c.portion = Math.max(1, Number(td.portionSize || 1));
+    c.yieldFrac = clamp(yieldPctFor(td, ctx.reprocessYieldPct, ctx.yieldProfile) / 100, 0, 1);
+    c.unitPrice = priceOf(c.typeId);
+    c.perPortion = new Map(Object.values(td.typeMaterials || {}).map((m) => [Number(m.material_type_id), Number(m.quantity || 0) * c.yieldFrac]));
+    let tax = 0;
+    if (taxPct > 0) {
+      for (const [id, qty] of c.perPortion) tax += (eivMap?.get(id) ?? priceOf(id) ?? 0) * qty * (taxPct / 100);
+    }
+    c.taxPerPortion = tax;
+    c.costPerPortion = c.unitPrice !== null ? c.unitPrice * c.portion + tax : null;
+    c.hoursPerPortion = m3PerHour > 0 ? (c.portion * (td.volume || 0)) / m3PerHour : null;
+  }
+
+  // Cost needs a price; time needs something to mine (compressed ore is bought, not mined).
+  const usable = candidates.filter((c) => (objective === "cost" ? c.costPerPortion !== null : !c.compressedOf && c.hoursPerPortion > 0));
+  for (const id of targetIds) {
+    if (!usable.some((c) => c.perPortion.get(id) > 0)) {
+      throw new Error(`None of the candidate ores ${objective === "cost" ? "with a price " : ""}reprocesses into ${namesMap.get(id) || targetNames.get(id)}.`);
+    }
+  }
+
+  onStatus(`Solving for ${usable.length} candidate ores…`);
+  const weight = (c) => (objective === "cost" ? c.costPerPortion : c.hoursPerPortion);
+  const lp = solveCoveringLp(usable.map(weight), targetIds.map((id) => usable.map((c) => c.perPortion.get(id) ?? 0)), targetIds.map((id) => wanted.get(id)));
+  if (lp.status !== "optimal") throw new Error(`No ore mix found (${lp.status}).`);
+
+  // Whole portions; rounding each output down can still leave a mineral a few units short.
+  const portions = lp.x.map((v) => Math.ceil(v - 1e-6));
+  const produced = () => {
+    const out = new Map();
+    usable.forEach((c, j) => {
+      if (portions[j] > 0) for (const [id, qty] of portionOutputs(c, portions[j])) out.set(id, (out.get(id) ?? 0) + qty);
+    });
+    return out;
+  };
+  const shortOf = (made) => targetIds.find((id) => (made.get(id) ?? 0) < wanted.get(id));
+  let made = produced();
+  for (let guard = 0; guard < 1000; guard++) {
+    const short = shortOf(made);
+    if (short === undefined) break;
+    let pick = -1;
+    usable.forEach((c, j) => {
+      const gain = c.perPortion.get(short) ?? 0;
+      if (gain > 0 && (pick < 0 || weight(c) / gain < weight(usable[pick]) / usable[pick].perPortion.get(short))) pick = j;
+    });
+    if (pick < 0) break;
+    // Enough portions of the cheapest source to cover the gap (at least one).
+    const gap = wanted.get(short) - (made.get(short) ?? 0);
+    portions[pick] += Math.max(1, Math.ceil(gap / usable[pick].perPortion.get(short)));
+    made = produced();
+  }
+  const stillShort = shortOf(made);
+  if (stillShort !== undefined) {
+    const name = namesMap.get(stillShort) || targetNames.get(stillShort);
+    throw new Error(`Could not round the ore mix up to cover ${name}: ${made.get(stillShort) ?? 0} of ${wanted.get(stillShort)}.`);
+  }
+
+  const rows = usable
+    .map((c, j) => {
+      const units = portions[j] * c.portion;
+      const outputs = portionOutputs(c, portions[j]);
+      return {
+        typeId: c.typeId,
+        name: c.typeData.name,
+        compressed: Boolean(c.compressedOf),
+        portions: portions[j],
+        units,
+        m3: units * (c.typeData.volume || 0),
+        unitPrice: c.unitPrice,
+        oreCost: c.unitPrice !== null ? c.unitPrice * units : null,
+        tax: c.taxPerPortion * portions[j],
+        miningHours: !c.compressedOf && c.hoursPerPortion !== null ? c.hoursPerPortion * portions[j] : null,
+        reprocessYieldPct: c.yieldFrac * 100,
+        outputs: [...outputs].map(([typeId, qty]) => ({ typeId, name: namesMap.get(typeId) || `Type ${typeId}`, qty })),
+      };
+    })
+    .filter((r) => r.portions > 0)
+    .sort((a, b) => (b.oreCost ?? 0) - (a.oreCost ?? 0));
+
+  // Every mineral that comes out, targets first; by-products are all surplus.
+  const mineralIds = [...targetIds, ...[...made.keys()].filter((id) => !wanted.has(id))];
+  const minerals = mineralIds.map((id) => {
+    const target = wanted.get(id) ?? 0;
+    const qty = made.get(id) ?? 0;
+    const unitPrice = priceOf(id);
+    return {
+      typeId: id,
+      name: namesMap.get(id) || `Type ${id}`,
+      target,
+      produced: qty,
+      surplus: Math.max(0, qty - target),
+      unitPrice,
+      buyCost: unitPrice !== null ? unitPrice * target : null,
+      surplusValue: unitPrice !== null ? unitPrice * Math.max(0, qty - target) : null,
+    };
+  });
+
+  const sum = (list, key) => list.reduce((acc, x) => acc + (x[key] ?? 0), 0);
+  const oreCost = rows.every((r) => r.oreCost !== null) ? sum(rows, "oreCost") : null;
+  const tax = sum(rows, "tax");
+  const targetRows = minerals.filter((x) => x.target > 0);
+  const buyMinerals = targetRows.every((x) => x.buyCost !== null) ? sum(targetRows, "buyCost") : null;
+  // Mined ore (time objective) only costs the reprocessing tax; bought ore costs its price too.
+  const cost = objective === "time" ? tax : oreCost !== null ? oreCost + tax : null;
+  const totals = {
+    oreCost,
+    tax,
+    cost,
+    m3: sum(rows, "m3"),
+    miningHours: rows.some((r) => r.miningHours !== null) ? sum(rows, "miningHours") : null,
+    buyMinerals,
+    surplusValue: sum(minerals, "surplusValue"),
+    savings: cost !== null && buyMinerals !== null ? buyMinerals - cost : null,
+  };
+
+  return { objective, rows, minerals, unknown, totals, m3PerHour, hub, basis, fees, tax: reprocessTaxOf(taxPct, eivMap) };
+}
+
+// ---------------------------
+// Build goal
+// ---------------------------
+// Minerals and ice products are planned as mining targets; everything else on the bill
+// (moon materials, PI, components without a blueprint) is priced at the hub.
+const MINED_MATERIAL_GROUPS = { [MINERAL_GROUP_ID]: "mineral", [ICE_PRODUCT_GROUP_ID]: "ice" };
+const MAX_BUILD_DEPTH = 5;
+
+// "Retriever ×5", "Retriever x5", "5x Retriever", "3 x 250mm Railgun II", "5 Retriever", "Retriever 5"
+// or just "Retriever". Names may start with digits ("125mm Gatling AutoCannon II", "1MN Afterburner II"),
+// so which side is the count comes from the pattern that matched, explicit "x" forms first.
+const BUILD_GOAL_FORMS = [
+  { re: /^(\d[\d,']*)\s*[x×*]\s+(.+)$/i, count: 1, name: 2 },
+  { re: /^(.+?)(?:\s+[x×*]\s*|\s*[×*]\s*)(\d[\d,']*)$/i, count: 2, name: 1 },
+  { re: /^(\d[\d,']*)\s+(.+)$/, count: 1, name: 2 },
+  { re: /^(.+?)\s+(\d[\d,']*)$/, count: 2, name: 1 },
+];
+
+export function parseBuildGoal(text) {
+  const s = String(text || "").trim().replace(/\s+/g, " ");
+  if (!s) return null;
+  for (const form of BUILD_GOAL_FORMS) {
+    const m = s.match(form.re);
+    if (!m) continue;
+    const count = Number(m[form.count].replace(/[,']/g, ""));
+    return { name: m[form.name].trim(), count: count > 0 ? Math.floor(count) : 1 };
+  }
+  return { name: s, count: 1 };
+}
+
+// Material for `runs` runs at material efficiency `me` (0–10): at least one unit per run.
+export function materialForRuns(baseQty, runs, me = 0) {
+  return Math.max(runs, Math.ceil(Math.round(runs * baseQty * (1 - me / 100) * 100) / 100));
+}
+
+// The manufacturing blueprint for a type: EVE Ref's produced_by_blueprints, else "<name> Blueprint".
+async function blueprintFor(provider, typeData) {
+  for (const id of typeData.blueprintIds || []) {
+    try {
+      const bp = await provider.getBlueprint(id);
+      if (bp.products.some((p) => p.typeId === typeData.typeId)) return bp;
+    } catch {
+      // try the next one
+    }
+  }
+  const id = await provider.resolveTypeId(`${typeData.name} Blueprint`).catch(() => null);
+  if (!id || id === typeData.typeId) return null;
+  const bp = await provider.getBlueprint(id).catch(() => null);
+  return bp?.products.some((p) => p.typeId === typeData.typeId) ? bp : null;
+}
+
+// How long a build's minerals and ice products take to mine, and what buying them would cost.
+// Input (plus the planMineralPurchase fleet and market options):
+//   product     name ("Retriever", "Retriever Blueprint") or productTypeId
+//   count       units to build
+//   me          material efficiency of the blueprints, 0–10
+//   components  also build components that have a blueprint (default true)
+export async function planBuildGoal(input, provider, { onStatus = () => {} } = {}) {
+  const { product = "", productTypeId = null, count = 1, me = 0, components = true, basis = DEFAULT_BASIS, hub = DEFAULT_HUB } = input;
+  if (!(count >= 1)) throw new Error("Build at least one unit.");
+  if (!(me >= 0 && me <= 10)) throw new Error("Material efficiency must be between 0 and 10.");
+
+  onStatus("Resolving product…");
+  const id = productTypeId || (await provider.resolveTypeId(product));
+  if (!id) throw new Error(`No item called "${product}".`);
+  let productData = await provider.getTypeData(id);
+  let blueprint = await blueprintFor(provider, productData);
+  // A blueprint's name was entered: build what it makes.
+  if (!blueprint && /blueprint$/i.test(productData.name)) {
+    blueprint = await provider.getBlueprint(id).catch(() => null);
+    if (blueprint?.products[0]) productData = await provider.getTypeData(blueprint.products[0].typeId);
+  }
+  if (!blueprint) throw new Error(`No manufacturing blueprint found for ${productData.name}.`);
+
+  // Find every component's blueprint first (breadth-first, so depth is the shallowest use),
+  // then total each type's demand over all its parents before rounding its runs.
+  const typeCache = new Map([[productData.typeId, productData]]);
+  const typeDataOf = async (typeId) => {
+    if (!typeCache.has(typeId)) typeCache.set(typeId, await provider.getTypeData(typeId));
+    return typeCache.get(typeId);
+  };
+  const recipes = new Map([[productData.typeId, { blueprint, depth: 0 }]]);
+  const seen = new Set([productData.typeId]);
+  for (let queue = [productData.typeId]; queue.length > 0;) {
+    const typeId = queue.shift();
+    const { blueprint: bp, depth } = recipes.get(typeId);
+    onStatus(`Expanding ${typeCache.get(typeId).name}…`);
+    for (const m of bp.materials) {
+      if (seen.has(m.typeId)) continue;
+      seen.add(m.typeId);
+      const td = await typeDataOf(m.typeId);
+      // Bundled types are all raw materials (ore, ice, gas, minerals, moon materials).
+      const sub = components && depth + 1 < MAX_BUILD_DEPTH && !BUNDLED_BY_ID.has(m.typeId) ? await blueprintFor(provider, td) : null;
+      if (sub) {
+        recipes.set(m.typeId, { blueprint: sub, depth: depth + 1 });
+        queue.push(m.typeId);
+      }
+    }
+  }
+
+  // Topological order: a component comes after everything that uses it.
+  const parents = new Map([...recipes.keys()].map((id) => [id, 0]));
+  for (const { blueprint: bp } of recipes.values()) {
+    for (const m of bp.materials) if (parents.has(m.typeId)) parents.set(m.typeId, parents.get(m.typeId) + 1);
+  }
+  const order = [];
+  for (const ready = [productData.typeId]; ready.length > 0;) {
+    const typeId = ready.shift();
+    order.push(typeId);
+    for (const m of recipes.get(typeId).blueprint.materials) {
+      if (!parents.has(m.typeId)) continue;
+      parents.set(m.typeId, parents.get(m.typeId) - 1);
+      if (parents.get(m.typeId) === 0) ready.push(m.typeId);
+    }
+  }
+  if (order.length !== recipes.size) throw new Error("These blueprints need each other's products (circular build).");
+
+  const demand = new Map([[productData.typeId, Math.floor(count)]]);
+  const leaves = new Map();
+  const built = [];
+  for (const typeId of order) {
+    const { blueprint: bp, depth } = recipes.get(typeId);
+    const qty = demand.get(typeId) ?? 0;
+    const perRun = bp.products.find((p) => p.typeId === typeId)?.quantity || 1;
+    const runs = Math.ceil(qty / perRun);
+    built.push({ typeId, name: typeCache.get(typeId).name, qty, runs, perRun, blueprintTypeId: bp.blueprintTypeId, depth });
+    for (const m of bp.materials) {
+      const into = recipes.has(m.typeId) ? demand : leaves;
+      into.set(m.typeId, (into.get(m.typeId) ?? 0) + materialForRuns(m.quantity, runs, me));
+    }
+  }
+
+  const materials = [...leaves].map(([typeId, qty]) => {
+    const td = typeCache.get(typeId);
+    return { typeId, name: td.name, qty, kind: MINED_MATERIAL_GROUPS[td.groupId ?? BUNDLED_BY_ID.get(typeId)?.groupId] || "other" };
+  });
+  const mined = materials.filter((m) => m.kind !== "other");
+
+  // Mining plan (fewest fleet-hours) for the minerals and ice products
+  const unknown = [];
+  let plan = null;
+  if (mined.length) {
+    plan = await planMineralPurchase({
+      ...input,
+      targets: mined.map((m, i) => ({ line: i + 1, name: m.name, typeId: m.typeId, qty: m.qty })),
+      objective: "time",
+    }, provider, { onStatus });
+    unknown.push(...plan.unknown);
+  }
+
+  // Hub prices for the product and everything on the bill (the tax is already in the mining plan)
+  const priceTypes = [productData, ...materials.map((m) => typeCache.get(m.typeId))].map((td) => ({ ...td, typeMaterials: {} }));
+  const ctx = await marketContext(provider, priceTypes, { ...input, reprocessTaxPct: 0 }, onStatus);
+  const priceOf = (typeId) => getPrice(ctx.priceMap, typeId, basis);
+  for (const m of materials) {
+    m.unitPrice = priceOf(m.typeId);
+    m.buyCost = m.unitPrice !== null ? m.unitPrice * m.qty : null;
+  }
+
+  const sum = (list) => list.reduce((acc, m) => acc + (m.buyCost ?? 0), 0);
+  const priced = (list) => list.every((m) => m.buyCost !== null);
+  const others = materials.filter((m) => m.kind === "other");
+  const buyMined = priced(mined) ? sum(mined) : null;
+  const otherCost = priced(others) ? sum(others) : null;
+  const miningHours = plan?.totals.miningHours ?? 0;
+  const tax = plan?.totals.tax ?? 0;
+  // Mined ore costs nothing but the reprocessing tax; buying skips the mining.
+  const savings = buyMined !== null ? buyMined - tax : null;
+  const productPrice = priceOf(productData.typeId);
+  const totals = {
+    miningHours,
+    tax,
+    buyMined,
+    otherCost,
+    savings,
+    iskPerHour: savings !== null && miningHours > 0 ? savings / miningHours : null,
+    buildCostBuying: buyMined !== null && otherCost !== null ? buyMined + otherCost : null,
+    buildCostMining: otherCost !== null ? tax + otherCost : null,
+    surplusValue: plan?.totals.surplusValue ?? 0,
+    productValue: productPrice !== null ? productPrice * Math.floor(count) : null,
+  };
+
+  return {
+    product: { typeId: productData.typeId, name: productData.name, count: Math.floor(count), unitPrice: productPrice },
+    me,
+    built,
+    materials: materials.sort((a, b) => a.kind.localeCompare(b.kind) || b.qty - a.qty),
+    plan,
+    unknown,
+    totals,
+    hub,
+    basis,
+    tax: plan?.tax ?? null,
+  };
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Rebuilds data/types.js from EVE Ref reference data: every published type in the groups
+// below (ore, ice, gas, moon ore and what they reprocess into), compressed forms included.
+//   npm run build:types            (or: node scripts/build-types.mjs [out-file])
+
+import { writeFileSync } from "node:fs";
+
+const REF = "https://ref-data.everef.net";
+const OUT = process.argv[2] || new URL("../data/types.js", import.meta.url);
+
+// Materials first, then everything that reprocesses into them.
+const ORE_GROUP_IDS = [
+  462, 460, 459, 458, 469, 457, 456, 455, 454, 467, 453, 461, 452, 451, 450, 468,
+  4029, 4030, 4031, // abyssal: Bezdnacine, Rakovene, Talassonite
+];
+const GROUP_IDS = [
+  18, 423, 427, // minerals, ice products, moon materials
+  ...ORE_GROUP_IDS,
+  465, // ice
+  711, // gas clouds
+  1884, 1920, 1921, 1922, 1923, // moon ore R4 -> R64
+];
+
+// Sections of the TYPES list, each sorted by group (as above) then type ID. Within an ore group the
+// base ore shares the group's name; everything else is a grade.
+const isCompressed = (t) => /^Compressed /.test(t.name);
+const isBase = (t, group) => t.name.replace(/^Compressed /, "") === group.name;
+const SECTIONS = [
+  { title: "Minerals", groupIds: [18] },
+  { title: "Ice products", groupIds: [423] },
+  { title: "Moon materials", groupIds: [427] },
+  { title: "Ore", groupIds: ORE_GROUP_IDS, test: (t, g) => !isCompressed(t) && isBase(t, g) },
+  { title: "Ore grades: +5%, +10%, +15% reprocessing output (Mercoxit and the abyssal ores have two)", groupIds: ORE_GROUP_IDS, test: (t, g) => !isCompressed(t) && !isBase(t, g) },
+  { title: "Compressed ore (1 ore -> 1 compressed unit, same materials)", groupIds: ORE_GROUP_IDS, test: (t, g) => isCompressed(t) && isBase(t, g) },
+  { title: "Compressed ore grades", groupIds: ORE_GROUP_IDS, test: (t, g) => isCompressed(t) && !isBase(t, g) },
+  { title: "Ice", groupIds: [465], test: (t) => !isCompressed(t) },
+  { title: "Compressed ice", groupIds: [465], test: isCompressed },
+  { title: "Gas (no reprocessing)", groupIds: [711] },
+  { title: "Moon ore", groupIds: [1884, 1920, 1921, 1922, 1923] },
+];
+
+async function getJson(path) {
+  const res = await fetch(`${REF}${path}`, { headers: { "Accept": "application/json" } });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${REF}${path}`);
+  return res.json();
+}
+
+const num = (v) => Number(Number(v).toPrecision(6));
+
+// One-line JS object literal in the style of data/*.js: { typeId: 1230, name: "Veldspar", … }
+function lit(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  return `{ ${Object.entries(value).map(([k, v]) => `${k}: ${lit(v)}`).join(", ")} }`;
+}
+
+async function main() {
+  const groups = {};
+  const categories = {};
+  const types = [];
+
+  for (const groupId of GROUP_IDS) {
+    const g = await getJson(`/groups/${groupId}`);
+    groups[groupId] = { name: g.name?.en ?? `Group ${groupId}`, categoryId: g.category_id };
+    if (!categories[g.category_id]) categories[g.category_id] = (await getJson(`/categories/${g.category_id}`)).name?.en;
+
+    const ids = [...(g.type_ids || [])].sort((a, b) => a - b);
+    for (const id of ids) {
+      const t = await getJson(`/types/${id}`);
+      if (!t.published) continue;
+      const materials = {};
+      for (const m of Object.values(t.type_materials || {})) materials[m.material_type_id] = m.quantity;
+      types.push({
+        typeId: t.type_id,
+        name: t.name?.en ?? `Type ${id}`,
+        groupId,
+        volume: num(t.volume),
+        portionSize: t.portion_size ?? 1,
+        ...(Object.keys(materials).length ? { materials } : {}),
+      });
+    }
+    console.error(`${groups[groupId].name}: ${types.filter((t) => t.groupId === groupId).length} types`);
+  }
+
+  const sections = SECTIONS.map(({ title, groupIds, test = () => true }) => {
+    const rows = types
+      .filter((t) => groupIds.includes(t.groupId) && test(t, groups[t.groupId]))
+      .sort((a, b) => GROUP_IDS.indexOf(a.groupId) - GROUP_IDS.indexOf(b.groupId) || a.typeId - b.typeId);
+    return rows.length ? [`  // ${title}`, ...rows.map((t) => `  ${lit(t)},`)].join("\n") : null;
+  }).filter(Boolean);
+
+  const version = new Date().toISOString().slice(0, 10);
+  const out = `// Bundled static type data: ore, ice, gas and moon ore (with compressed forms) plus everything
+// they reprocess into. Used for offline name search / resolution and as the type data
+// fallback when EVE Ref can't be reached. Refresh with \`npm run build:types\`
+// (scripts/build-types.mjs), which rebuilds this file from EVE Ref and bumps TYPES_VERSION.
+
+export const TYPES_VERSION = "${version}";
+
+export const CATEGORIES = {
+${Object.entries(categories).map(([id, name]) => `  ${id}: ${JSON.stringify(name)},`).join("\n")}
+};
+
+export const GROUPS = {
+${Object.entries(groups).map(([id, g]) => `  ${id}: { name: ${JSON.stringify(g.name)}, categoryId: ${g.categoryId} },`).join("\n")}
+};
+
+// materials: { materialTypeId: quantity per portion }
+export const TYPES = [
+${sections.join("\n\n")}
+];
+`;
+  writeFileSync(OUT, out);
+  console.error(`Wrote ${types.length} types (version ${version}).`);
+}
+
+main().catch((err) => {
+  console.error(err?.message || String(err));
+  process.exit(1);
+});